@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken'); // For verifying JWT tokens
 const User = require('../models/User'); // Import User model to find user by ID
+const Session = require('../models/Session'); // Login sessions the access tokens belong to
+const { isVerificationRequiredForCheckout } = require('../utils/emailVerification'); // Checkout verification setting
+const { verifyPreAuthToken, revokeSession } = require('../utils/sessions'); // Second login step tokens, session revocation
+const { hasRecentSecondFactor, sessionSatisfiesTwoFactor } = require('../utils/twoFactor'); // Step-up and mandatory two-factor checks
+const { hasPermission } = require('../utils/permissions'); // Role permissions
 
 // Middleware to protect routes (ensure user is logged in)
 // This middleware verifies the JWT token and attaches the authenticated user's details to req.user
@@ -34,6 +39,21 @@ const protect = async (req, res, next) => {
                 return res.status(401).json({ message: 'User not found, token invalid' });
             }
 
+            // Access tokens are bound to a session; logging out or revoking the session invalidates them at once
+            const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+            if (!session || !session.isActive() || !session.userId.equals(req.user._id)) {
+                return res.status(401).json({ message: 'Session has ended. Please log in again.' });
+            }
+            // Roles with mandatory two-factor cannot use sessions started without it
+            if (!sessionSatisfiesTwoFactor(req.user, session)) {
+                await revokeSession(session._id, 'two_factor_required');
+                return res.status(401).json({
+                    message: 'Two-factor authentication is required for your account. Please log in again.',
+                    reason: 'two_factor_required'
+                });
+            }
+            req.authSession = session;
+
             console.log(`Auth Middleware DEBUG: User ${req.user.email} authenticated successfully.`); // DEBUG: Confirmation
             next(); // Token is valid, user is authenticated, proceed to the next middleware/route handler
 
@@ -68,7 +88,83 @@ const authorize = (...roles) => {
     };
 };
 
+// Middleware to authorize users based on the permissions their role grants (see utils/permissions)
+// The user needs at least one of the listed permissions; handlers can narrow further with hasPermission
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        // req.user is set by the 'protect' middleware
+        if (!req.user || !permissions.some(permission => hasPermission(req.user, permission))) {
+            console.error(`Auth Middleware ERROR: User ${req.user ? req.user.email : 'N/A'} (Role: ${req.user ? req.user.role : 'N/A'}) lacks permission ${permissions.join(' or ')}.`); // DEBUG: Log permission failure
+            return res.status(403).json({ message: `Access denied. Requires permission: ${permissions.join(' or ')}.` });
+        }
+        next(); // User has a required permission, proceed
+    };
+};
+
+// Middleware to refuse checkout from accounts whose email is unconfirmed,
+// when REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT is on. Use after 'protect'.
+const requireVerifiedEmail = (req, res, next) => {
+    if (isVerificationRequiredForCheckout() && !req.user.emailVerified) {
+        return res.status(403).json({
+            message: 'Please verify your email address before placing an order.',
+            reason: 'email_not_verified'
+        });
+    }
+    next();
+};
+
+// Middleware for the second login step: accepts the pre-auth token from the body (`preAuthToken`)
+// issued at login for the given stage ('verify' or 'enroll') and attaches the user to req.user
+const protectPreAuth = (stage) => async (req, res, next) => {
+    const preAuth = verifyPreAuthToken(req.body && req.body.preAuthToken);
+    if (!preAuth || preAuth.stage !== stage) {
+        return res.status(401).json({ message: 'Login step has expired or is invalid. Please log in again.' });
+    }
+
+    try {
+        req.user = await User.findById(preAuth.id).select('-password');
+        if (!req.user) {
+            return res.status(401).json({ message: 'User not found, token invalid' });
+        }
+        req.preAuth = preAuth;
+        next();
+    } catch (error) {
+        console.error('Auth Middleware ERROR: Pre-auth user lookup failed:', error.message);
+        res.status(500).json({ message: 'Server error during authentication.' });
+    }
+};
+
+// Middleware for routes used both while logged in and during a login step (e.g. an admin enrolling
+// in two-factor before their first session): a body `preAuthToken` is checked for `stage`, otherwise 'protect' runs
+const protectOrPreAuth = (stage) => {
+    const preAuth = protectPreAuth(stage);
+    return (req, res, next) => (req.body && req.body.preAuthToken ? preAuth(req, res, next) : protect(req, res, next));
+};
+
+// Middleware for sensitive actions: requires two-factor to be on and a code to have been entered in this
+// session within STEP_UP_MAX_AGE_MINUTES (at login or via POST /api/auth/2fa/step-up). Use after 'protect'.
+const requireStepUp = (req, res, next) => {
+    if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+        return res.status(403).json({
+            message: 'Two-factor authentication must be enabled for this action.',
+            reason: 'two_factor_required'
+        });
+    }
+    if (!hasRecentSecondFactor(req.authSession)) {
+        return res.status(403).json({
+            message: 'Please confirm with your authenticator code to continue.',
+            reason: 'step_up_required'
+        });
+    }
+    next();
+};
+
 module.exports = {
     protect,
     authorize,
+    requirePermission,
+    requireVerifiedEmail,
+    protectPreAuth,
+    protectOrPreAuth,
+    requireStepUp,
 };
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A single-use token emailed to a user (a password reset or email verification link). Only its hash is stored,
+// so a database leak does not expose usable links (see utils/accountTokens).
+const accountTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // What the token may be used for
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true
+    },
+    // SHA-256 of the token sent to the user
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The token cannot be redeemed after this time
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Set when the token is redeemed; a used token is never accepted again
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    // Address the request came from, for auditing
+    requestedIp: {
+        type: String,
+        default: ''
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+// MongoDB deletes tokens once they have expired
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A node in the product category tree (e.g. "Fresh Produce" > "Fruit" > "Citrus").
+// `ancestors` lists every parent up to the root so a category's descendants can be found with a
+// single query; it is maintained by utils/categories whenever a category is created or moved.
+const categorySchema = new mongoose.Schema({
+    // Display name (e.g. "Fruit")
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // URL-friendly identifier, unique across the whole tree (e.g. "fruit")
+    slug: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        unique: true,
+        match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+    },
+    // Parent category; null for top-level categories
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    // All ancestors from the root down to the parent
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Image URL shown on category tiles
+    image: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Position among its siblings (lowest first)
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    // Hidden categories are left out of the public tree
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
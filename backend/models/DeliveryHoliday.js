@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A day with no deliveries (no slots are offered)
+const deliveryHolidaySchema = new mongoose.Schema({
+    // Calendar date in store local time, "YYYY-MM-DD"
+    date: {
+        type: String,
+        required: true,
+        unique: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+    },
+    reason: {
+        type: String,
+        trim: true,
+        default: ''
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+module.exports = mongoose.model('DeliveryHoliday', deliveryHolidaySchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A concrete delivery window on a given date, created from a template the first time it is booked.
+// bookedCount is only ever changed with conditional atomic updates (see utils/deliverySlots).
+const deliverySlotSchema = new mongoose.Schema({
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliverySlotTemplate',
+        required: true
+    },
+    // Calendar date in store local time, "YYYY-MM-DD"
+    date: {
+        type: String,
+        required: true
+    },
+    startTime: {
+        type: String,
+        required: true
+    },
+    endTime: {
+        type: String,
+        required: true
+    },
+    // Copied from the template; kept in sync for future dates when the template changes
+    capacity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Orders currently holding this slot (cancellations release their booking)
+    bookedCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+// One slot per template per day
+deliverySlotSchema.index({ templateId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
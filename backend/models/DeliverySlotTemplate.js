@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// "HH:mm" in 24-hour store local time
+const TIME_PATTERN = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format'];
+
+// A recurring weekly delivery window, e.g. every Monday 09:00-11:00 for 20 orders
+const deliverySlotTemplateSchema = new mongoose.Schema({
+    // 0 = Sunday ... 6 = Saturday
+    dayOfWeek: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6
+    },
+    startTime: {
+        type: String,
+        required: true,
+        match: TIME_PATTERN
+    },
+    endTime: {
+        type: String,
+        required: true,
+        match: TIME_PATTERN
+    },
+    // Maximum number of orders delivered in this window
+    capacity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Orders for the window close this many minutes before it starts
+    cutoffMinutes: {
+        type: Number,
+        min: 0,
+        default: 120
+    },
+    // Inactive templates stop producing new slots; existing bookings are kept
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+deliverySlotTemplateSchema.pre('validate', function (next) {
+    if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+        this.invalidate('endTime', 'End time must be after the start time.');
+    }
+    next();
+});
+
+module.exports = mongoose.model('DeliverySlotTemplate', deliverySlotTemplateSchema);
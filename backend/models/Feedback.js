@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const feedbackSchema = new mongoose.Schema({
+    // Product being reviewed
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product', // Refers to the 'Product' model
+        required: true
+    },
+    // User who wrote the review
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User', // Refers to the 'User' model
+        required: true
+    },
+    // Star rating from 1 to 5
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    // Optional review text
+    comment: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // True when the user has a delivered order containing this product
+    verifiedPurchase: {
+        type: Boolean,
+        default: false
+    },
+    // Moderation state; only 'approved' reviews are public and count towards the product rating
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'hidden'],
+        default: 'approved'
+    },
+    // Public reply from the store, shown under the review
+    adminReply: {
+        text: { type: String, trim: true },
+        repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        repliedAt: { type: Date }
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+// One review per user per product
+feedbackSchema.index({ productId: 1, userId: 1 }, { unique: true });
+
+// Recompute the product's average rating and per-star counts from its approved reviews.
+// Called after every create, edit, delete or moderation change so Product stays in sync.
+feedbackSchema.statics.recalculateProductRating = async function (productId) {
+    const stats = await this.aggregate([
+        { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    const ratingBreakdown = { star1: 0, star2: 0, star3: 0, star4: 0, star5: 0 };
+    let ratingCount = 0;
+    let ratingTotal = 0;
+    for (const { _id: stars, count } of stats) {
+        ratingBreakdown[`star${stars}`] = count;
+        ratingCount += count;
+        ratingTotal += stars * count;
+    }
+    const ratingAverage = ratingCount ? Math.round((ratingTotal / ratingCount) * 100) / 100 : 0;
+
+    await mongoose.model('Product').updateOne(
+        { _id: productId },
+        { $set: { ratingAverage, ratingCount, ratingBreakdown } }
+    );
+};
+
+module.exports = mongoose.model('Feedback', feedbackSchema);
@@ -1,5 +1,24 @@
 const mongoose = require('mongoose');
 
+// Allowed moves for Order.status. Terminal states have no outgoing transitions.
+const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// Money amount stored as an integer number of minor units (cents)
+const minorUnits = {
+    type: Number,
+    min: 0,
+    validate: {
+        validator: Number.isInteger,
+        message: '{PATH} must be a whole number of minor units'
+    }
+};
+
 const orderSchema = new mongoose.Schema({
     // Reference to the User who placed the order
     userId: {
@@ -15,6 +34,17 @@ const orderSchema = new mongoose.Schema({
                 ref: 'Product', // Refers to the 'Product' model
                 required: true
             },
+            // Variant ordered, for products with variants (snapshot of its SKU and label below)
+            variantId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'ProductVariant'
+            },
+            sku: {
+                type: String
+            },
+            variantName: {
+                type: String
+            },
             name: {
                 type: String,
                 required: true
@@ -35,7 +65,71 @@ const orderSchema = new mongoose.Schema({
             }
         }
     ],
-    // Total amount of the order
+    // Itemized price breakdown from utils/pricing, all amounts in minor units (cents)
+    pricing: {
+        subtotal: minorUnits,
+        discount: minorUnits,
+        tax: minorUnits,
+        deliveryFee: minorUnits,
+        smallOrderFee: minorUnits,
+        serviceFee: minorUnits,
+        total: minorUnits,
+        // Tax grouped by rate (percent)
+        taxLines: [
+            {
+                rate: { type: Number, min: 0 },
+                taxable: minorUnits,
+                tax: minorUnits,
+                _id: false
+            }
+        ],
+        // Per-item breakdown, in the same order as `items`
+        lines: [
+            {
+                productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+                variantId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductVariant' },
+                unitPrice: minorUnits,
+                quantity: { type: Number, min: 1 },
+                lineSubtotal: minorUnits,
+                discount: minorUnits,
+                taxRate: { type: Number, min: 0 },
+                tax: minorUnits,
+                _id: false
+            }
+        ]
+    },
+    // Subtotal in major units (pricing.subtotal / 100), kept for existing clients
+    subtotalAmount: {
+        type: Number,
+        min: 0
+    },
+    // Promotion discount in major units (pricing.discount / 100), kept for existing clients
+    discountAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Promotion redeemed on this order
+    promotion: {
+        promotionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Promotion'
+        },
+        code: { type: String },
+        type: { type: String },
+        discount: minorUnits,
+        freeDelivery: { type: Boolean },
+        // Discount attributed to each item
+        lines: [
+            {
+                productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+                variantId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductVariant' },
+                discount: minorUnits,
+                _id: false
+            }
+        ]
+    },
+    // Grand total in major units (pricing.total / 100)
     totalAmount: {
         type: Number,
         required: true,
@@ -47,18 +141,203 @@ const orderSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
+    // Payment provider handling this order (see services/payments)
+    paymentProvider: {
+        type: String,
+        trim: true
+    },
+    // Whether money has actually been taken for this order
+    paymentStatus: {
+        type: String,
+        enum: ['pending', 'authorized', 'captured', 'failed', 'refunded'],
+        default: 'pending'
+    },
+    // Every payment event recorded for this order, oldest first
+    paymentTransactions: [
+        {
+            event: {
+                type: String,
+                enum: ['initiated', 'authorized', 'captured', 'failed', 'refunded'],
+                required: true
+            },
+            provider: {
+                type: String
+            },
+            // Provider's reference for the payment or refund
+            transactionId: {
+                type: String
+            },
+            amount: {
+                type: Number,
+                min: 0
+            },
+            // Webhook event id, used to ignore redelivered events
+            eventId: {
+                type: String
+            },
+            // Key a refund was requested under (e.g. "return:<returnRequestId>"), so it is never repeated
+            idempotencyKey: {
+                type: String
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    // Total refunded so far (cancellations and approved returns)
+    refundedAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
     // Shipping address for the order
     shippingAddress: {
         type: String,
         required: true,
         trim: true
     },
+    // Structured copy of the address book entry the order ships to (absent for legacy free-text addresses)
+    shippingAddressDetails: {
+        label: { type: String, trim: true },
+        line1: { type: String, trim: true },
+        line2: { type: String, trim: true },
+        city: { type: String, trim: true },
+        postalCode: { type: String, trim: true },
+        deliveryInstructions: { type: String, trim: true }
+    },
+    // Delivery window booked at checkout (see utils/deliverySlots)
+    deliverySlot: {
+        slotId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'DeliverySlot'
+        },
+        date: { type: String }, // "YYYY-MM-DD"
+        startTime: { type: String }, // "HH:mm"
+        endTime: { type: String }
+    },
     // Current status of the order
     status: {
         type: String,
         enum: ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'], // Possible order statuses
         default: 'pending' // Default status when an order is placed
-    }
+    },
+    // Customer return requests for delivered orders
+    returnRequests: [
+        {
+            // Lines and quantities being returned (snapshot of the ordered price)
+            items: [
+                {
+                    productId: {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: 'Product',
+                        required: true
+                    },
+                    variantId: {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: 'ProductVariant'
+                    },
+                    name: {
+                        type: String,
+                        required: true
+                    },
+                    quantity: {
+                        type: Number,
+                        required: true,
+                        min: 1
+                    },
+                    price: {
+                        type: Number,
+                        required: true,
+                        min: 0
+                    }
+                }
+            ],
+            reason: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            status: {
+                type: String,
+                enum: ['requested', 'approved', 'rejected'],
+                default: 'requested'
+            },
+            requestedAt: {
+                type: Date,
+                default: Date.now
+            },
+            resolvedAt: {
+                type: Date
+            },
+            // Admin who approved or rejected the request
+            resolvedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            adminNote: {
+                type: String,
+                trim: true
+            },
+            // Amount refunded for this request once approved
+            refundAmount: {
+                type: Number,
+                min: 0,
+                default: 0
+            }
+        }
+    ],
+    // Timeline of every status the order has been in, oldest first
+    statusHistory: [
+        {
+            status: {
+                type: String,
+                enum: Object.keys(STATUS_TRANSITIONS),
+                required: true
+            },
+            changedAt: {
+                type: Date,
+                default: Date.now
+            },
+            // User who made the change; empty for system changes such as payment webhooks
+            changedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            note: {
+                type: String,
+                trim: true
+            }
+        }
+    ]
 }, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
 
+// Record the initial status when the order is first saved
+orderSchema.pre('save', function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, changedBy: this.userId, note: 'Order placed' });
+    }
+    next();
+});
+
+// Whether the order may move from its current status to `status`
+orderSchema.methods.canTransitionTo = function (status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the order to `status` and append it to the timeline (does not save).
+// Throws if the transition graph does not allow the move.
+orderSchema.methods.transitionTo = function (status, { changedBy, note } = {}) {
+    if (!this.canTransitionTo(status)) {
+        const allowed = STATUS_TRANSITIONS[this.status] || [];
+        const error = new Error(`Cannot change order status from ${this.status} to ${status}.${allowed.length ? ` Allowed: ${allowed.join(', ')}.` : ''}`);
+        error.name = 'InvalidTransitionError';
+        throw error;
+    }
+    this.status = status;
+    this.statusHistory.push({ status, changedBy, note });
+};
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -7,35 +7,85 @@ const productSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
+    // Stock keeping unit (optional; products with variants have SKUs per variant). Used to match CSV imports
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        unique: true,
+        sparse: true
+    },
     // Product description
     description: {
         type: String,
         required: true
     },
-    // Product price
+    // Product price. For products with variants this is the lowest variant price ("from" price)
     price: {
         type: Number,
         required: true,
         min: 0 // Price cannot be negative
     },
-    // URL for the product image
+    // True once the product has variants (models/ProductVariant); price and stock then live on the variants
+    hasVariants: {
+        type: Boolean,
+        default: false
+    },
+    // Highest variant price; together with `price` it gives the price range shown in listings
+    maxPrice: {
+        type: Number,
+        min: 0
+    },
+    // URL for the product image (the first gallery image once images are uploaded)
     image: {
         type: String,
         default: 'https://placehold.co/300x200/cccccc/333333?text=No+Image' // Default image if none provided
     },
-    // Product category (e.g., "Electronics", "Groceries", "Clothing")
+    // Uploaded image gallery, in display order (see utils/productImages)
+    images: [
+        {
+            key: { type: String, required: true }, // Storage key of the original file
+            url: { type: String, required: true },
+            alt: { type: String, trim: true, default: '' },
+            width: { type: Number },
+            height: { type: Number },
+            // Generated thumbnails by size name (e.g. small, medium): { key, url, width, height }
+            thumbnails: { type: mongoose.Schema.Types.Mixed, default: {} },
+            uploadedAt: { type: Date, default: Date.now }
+        }
+    ],
+    // Category name (e.g., "Fruit"), kept in sync with categoryId; tax rates and promotions match on it
     category: {
         type: String,
         required: true,
         trim: true
     },
-    // Available stock quantity
+    // Category in the category tree (models/Category)
+    categoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        index: true
+    },
+    // Available stock quantity (for products with variants: the total across all variants)
     stock: {
         type: Number,
         required: true,
         min: 0, // Stock cannot be negative
         default: 0
     },
+    // Units held by active cart reservations (see utils/reservations); available = stock - reservedStock
+    reservedStock: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Low-stock alert level: the product is reported once available stock drops to this many units.
+    // Left empty to use DEFAULT_REORDER_THRESHOLD (see utils/inventory)
+    reorderThreshold: {
+        type: Number,
+        min: 0,
+        default: null
+    },
     // Weight of the product (e.g., in grams, kg)
     weight: {
         type: Number,
@@ -47,7 +97,49 @@ const productSchema = new mongoose.Schema({
         type: String,
         trim: true,
         default: ''
+    },
+    // Whether customers can send this product back (perishables usually cannot be restocked)
+    returnable: {
+        type: Boolean,
+        default: true
+    },
+    // Average star rating across approved reviews (maintained by Feedback.recalculateProductRating)
+    ratingAverage: {
+        type: Number,
+        min: 0,
+        max: 5,
+        default: 0
+    },
+    // Number of approved reviews
+    ratingCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Number of approved reviews per star rating
+    ratingBreakdown: {
+        star1: { type: Number, default: 0 },
+        star2: { type: Number, default: 0 },
+        star3: { type: Number, default: 0 },
+        star4: { type: Number, default: 0 },
+        star5: { type: Number, default: 0 }
     }
-}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+}, {
+    timestamps: true, // Adds createdAt and updatedAt timestamps automatically
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Full-text search (utils/search): name matches rank well above category and description matches
+productSchema.index(
+    { name: 'text', category: 'text', description: 'text' },
+    { name: 'product_text_search', weights: { name: 10, category: 4, description: 1 } }
+);
+
+// Price range for listings: a single price for plain products, lowest to highest for variants
+productSchema.virtual('priceRange').get(function () {
+    const max = this.hasVariants && this.maxPrice !== undefined ? this.maxPrice : this.price;
+    return { min: this.price, max };
+});
 
 module.exports = mongoose.model('Product', productSchema);
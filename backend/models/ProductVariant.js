@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A purchasable version of a product, e.g. a pack size ("500g", "1kg", "6-pack").
+// When a product has variants, price and stock are tracked here and every cart line and
+// order line points at a variant; Product.price, Product.priceRange and Product.stock become
+// summaries kept in sync by utils/variants and utils/inventory.
+const productVariantSchema = new mongoose.Schema({
+    // Parent product
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Stock keeping unit, unique across all variants
+    sku: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true,
+        unique: true
+    },
+    // Label shown next to the product name (e.g. "1kg")
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Variant price (major units, like Product.price)
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Available stock quantity of this variant
+    stock: {
+        type: Number,
+        required: true,
+        min: 0,
+        default: 0
+    },
+    // Units held by active cart reservations (see utils/reservations)
+    reservedStock: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Weight of this pack (same unit as Product.weight)
+    weight: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Variant image; falls back to the product image when empty
+    image: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Low-stock alert level for this variant (falls back to DEFAULT_REORDER_THRESHOLD)
+    reorderThreshold: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Display order within the product
+    sortOrder: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+productVariantSchema.index({ productId: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('ProductVariant', productVariantSchema);
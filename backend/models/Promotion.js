@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+    // Code customers enter at checkout (stored upper-case)
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    // Shown to customers next to the discount
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // percentage:    `value`% off in-scope items (optionally capped by maxDiscount)
+    // fixed:         `value` off the in-scope items, never more than their subtotal
+    // buy_x_get_y:   for every buyQuantity + getQuantity units of an in-scope line, getQuantity are free
+    // free_delivery: waives the delivery fee
+    type: {
+        type: String,
+        enum: ['percentage', 'fixed', 'buy_x_get_y', 'free_delivery'],
+        required: true
+    },
+    value: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Upper bound for percentage discounts (empty for no cap)
+    maxDiscount: {
+        type: Number,
+        min: 0
+    },
+    buyQuantity: {
+        type: Number,
+        min: 1
+    },
+    getQuantity: {
+        type: Number,
+        min: 1
+    },
+    // Minimum subtotal of in-scope items before the code applies
+    minSpend: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Scope: when both lists are empty the promotion applies to the whole cart
+    productIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    categories: [{
+        type: String,
+        trim: true
+    }],
+    // Validity window (either end may be open)
+    startsAt: {
+        type: Date
+    },
+    endsAt: {
+        type: Date
+    },
+    // Total redemptions allowed across all customers (empty for unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    // Redemptions allowed per customer (empty for unlimited)
+    perUserLimit: {
+        type: Number,
+        min: 1
+    },
+    // Only valid on a customer's first (non-cancelled) order
+    firstOrderOnly: {
+        type: Boolean,
+        default: false
+    },
+    // Redemptions so far on orders that were not cancelled
+    usageCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Lets admins switch a promotion off without deleting it
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+// Check the fields each promotion type depends on
+promotionSchema.pre('validate', function (next) {
+    if (['percentage', 'fixed'].includes(this.type) && !(this.value > 0)) {
+        this.invalidate('value', 'Percentage and fixed promotions need a value greater than 0.');
+    }
+    if (this.type === 'percentage' && this.value > 100) {
+        this.invalidate('value', 'Percentage discounts cannot exceed 100.');
+    }
+    if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+        this.invalidate('buyQuantity', 'Buy X get Y promotions need buyQuantity and getQuantity.');
+    }
+    if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'End date must be after the start date.');
+    }
+    next();
+});
+
+module.exports = mongoose.model('Promotion', promotionSchema);
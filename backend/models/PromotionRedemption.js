@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One redemption of a per-user-limited (or first-order-only) promotion by a customer. Each takes one
+// of the user's `slot`s (0 to perUserLimit - 1); the unique index makes concurrent checkouts that pick
+// the same slot fail, so a user cannot go over the limit. Deleted when the order is cancelled.
+const promotionRedemptionSchema = new mongoose.Schema({
+    promotionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Order the promotion was redeemed on
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    // Which of the user's allowed redemptions this is
+    slot: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+// A slot can only be taken once per user and promotion
+promotionRedemptionSchema.index({ promotionId: 1, userId: 1, slot: 1 }, { unique: true });
+// Lets a cancellation find the redemption for its order
+promotionRedemptionSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
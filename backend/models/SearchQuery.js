@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One row per distinct search query (normalized), counting how often it was searched.
+// Feeds the "popular searches" part of GET /api/products/suggest.
+const searchQuerySchema = new mongoose.Schema({
+    // Lowercased, trimmed query with single spaces
+    query: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // Number of times it was searched
+    count: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Results returned the last time it was searched; queries with no results are never suggested
+    lastResultCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    lastSearchedAt: {
+        type: Date
+    },
+    // Number of different searchers (IP addresses) seen, counted up to SUGGEST_MIN_SEARCHERS; a query is
+    // suggested only once enough people have searched it, so one client cannot plant suggestions
+    distinctSearchers: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Hashes of the searchers counted in distinctSearchers (never more than SUGGEST_MIN_SEARCHERS)
+    searchers: {
+        type: [String],
+        default: [],
+        select: false
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+// Popular queries first when listing suggestions
+searchQuerySchema.index({ count: -1 });
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One logged-in device. Access tokens carry the session id (`sid`) and are only accepted while the
+// session is active; the refresh token is rotated on every use (see utils/sessions).
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // SHA-256 of the refresh token that is currently valid; the token itself is never stored
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // Hashes of refresh tokens already exchanged. Seeing one again means the token was stolen
+    // (or replayed), and the whole session is revoked.
+    previousTokenHashes: {
+        type: [String],
+        default: []
+    },
+    // The session ends at this time unless it is refreshed before
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Last time a second factor (TOTP or recovery code) was checked in this session; used for step-up
+    twoFactorVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when the session is ended (logout, logout everywhere, reuse detection, role change, ...)
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String
+    },
+    // Device details, to help users recognise their sessions
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB deletes sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether tokens of this session may still be used
+sessionSchema.methods.isActive = function (now = new Date()) {
+    return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One change to a product's stock level. The collection is an append-only ledger:
+// entries are written by utils/inventory and can never be edited or deleted.
+const stockMovementSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Variant whose stock changed, for products with variants
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductVariant'
+    },
+    // Units added (positive) or removed (negative)
+    delta: {
+        type: Number,
+        required: true
+    },
+    // Product.stock (or ProductVariant.stock) right after this movement
+    resultingStock: {
+        type: Number,
+        required: true
+    },
+    // Why the stock changed ('removal': a variant was deleted with stock on hand)
+    reason: {
+        type: String,
+        enum: ['initial', 'sale', 'cancellation', 'return', 'adjustment', 'removal'],
+        required: true
+    },
+    // What caused the movement: an order, an admin edit or a return request
+    referenceType: {
+        type: String,
+        enum: ['order', 'admin', 'return'],
+        required: true
+    },
+    // Order id, admin user id or return request id (matching referenceType)
+    referenceId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Order the movement belongs to, when there is one (set for sales, cancellations and returns)
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    // User who triggered the change (customer or admin)
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        trim: true
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } }); // Entries never change, so only createdAt
+
+// Newest-first history per product
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+
+// Enforce append-only: existing entries cannot be modified or removed
+const rejectChange = function (next) {
+    next(new Error('Stock movements are append-only and cannot be modified or deleted.'));
+};
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+stockMovementSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
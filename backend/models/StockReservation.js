@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A temporary hold on stock for an item in a user's cart (reservation mode only).
+// Product.reservedStock (or ProductVariant.reservedStock for variant holds) always equals the
+// sum of `quantity` over its holds; both are changed together in utils/reservations.
+const stockReservationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Variant held, for products with variants
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductVariant',
+        default: null
+    },
+    // Units held; matches the cart quantity when the hold was last refreshed
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // After this time the hold is released by the expiry sweep
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+// One hold per user per product variant
+stockReservationSchema.index({ userId: 1, productId: 1, variantId: 1 }, { unique: true });
+// Lets the expiry sweep find expired holds quickly
+stockReservationSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -1,5 +1,47 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/permissions');
+
+// A saved delivery address in the user's address book
+const addressSchema = mongoose.Schema({
+    // Short name shown in the address picker (e.g., "Home", "Work")
+    label: {
+        type: String,
+        trim: true,
+        default: 'Home'
+    },
+    line1: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    line2: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    city: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    postalCode: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Notes for the driver (gate code, leave at door, ...)
+    deliveryInstructions: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Address used at checkout when none is chosen; at most one per user
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+});
 
 const userSchema = mongoose.Schema(
     {
@@ -28,15 +70,61 @@ const userSchema = mongoose.Schema(
             required: true, // This field is still required based on user's schema
             trim: true
         },
+        // Address book of structured delivery addresses
+        addresses: [addressSchema],
         // User's phone number (added from the latest version)
         phone: {
             type: String,
             required: true, // This field is still required based on user's schema
             trim: true
         },
+        // Set once the user opens the link from the verification email sent at registration
+        emailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerifiedAt: {
+            type: Date
+        },
+        // When the last verification email went out; limits how often it can be resent
+        verificationEmailSentAt: {
+            type: Date
+        },
+        // TOTP two-factor authentication (see utils/twoFactor). Secrets and recovery code hashes are
+        // never selected unless asked for explicitly.
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            enabledAt: {
+                type: Date
+            },
+            // Base32 secret shared with the authenticator app
+            secret: {
+                type: String,
+                select: false
+            },
+            // Secret offered during enrollment, until the first code confirms it
+            pendingSecret: {
+                type: String,
+                select: false
+            },
+            // SHA-256 hashes of the unused one-time recovery codes
+            recoveryCodes: {
+                type: [String],
+                select: false
+            },
+            // Time step of the last accepted code, so a code cannot be used twice
+            lastUsedStep: {
+                type: Number,
+                select: false
+            }
+        },
+        // Customer ('user'), 'admin' or a staff role; see utils/permissions for what each may do
         role: {
             type: String,
-            enum: ['user', 'admin'],
+            enum: ROLES,
             default: 'user',
         },
         // Embedded cart for the user
@@ -47,19 +135,36 @@ const userSchema = mongoose.Schema(
                     ref: 'Product',
                     required: true
                 },
+                variantId: { // Chosen variant, for products with variants
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'ProductVariant'
+                },
                 quantity: {
                     type: Number,
                     required: true,
                     min: 1
                 }
             }
-        ]
+        ],
+        // When the cart last changed (set on save); checkout pins the previewed cart to it.
+        // Unlike updatedAt it ignores profile, address and security changes.
+        cartUpdatedAt: {
+            type: Date
+        }
     },
     {
         timestamps: true, // Adds createdAt and updatedAt fields automatically
     }
 );
 
+// Pre-save hook to stamp cart changes (see cartUpdatedAt); updateOne calls that change the cart must set it too
+userSchema.pre('save', function (next) {
+    if (this.isModified('cart')) {
+        this.cartUpdatedAt = new Date();
+    }
+    next();
+});
+
 // Pre-save hook to hash password before saving to database
 userSchema.pre('save', async function (next) {
     // Only hash the password if it has been modified (or is new)
@@ -77,6 +182,9 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Finds unverified accounts to purge by age
+userSchema.index({ emailVerified: 1, createdAt: 1 });
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
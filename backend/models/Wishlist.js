@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const wishlistSchema = new mongoose.Schema({
+    // Owner of the wishlist (one wishlist per user)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User', // Refers to the 'User' model
+        required: true,
+        unique: true
+    },
+    // Products saved to the wishlist
+    items: [
+        {
+            productId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Product', // Refers to the 'Product' model
+                required: true
+            },
+            // When the product was added, used to show "saved on" in the UI
+            addedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }
+    ],
+    // Random token for the public read-only share link (unset when sharing is disabled)
+    shareToken: {
+        type: String,
+        unique: true,
+        sparse: true // Only enforce uniqueness for wishlists that are actually shared
+    }
+}, { timestamps: true }); // Adds createdAt and updatedAt timestamps automatically
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -1,28 +1,54 @@
 // routes/authRoutes.js - Authentication routes
 const express = require('express');
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
-const jwt = require('jsonwebtoken'); // For JWT token generation
 const User = require('../models/User'); // User model (now with name, address, phone, cart)
 const Product = require('../models/Product'); // Product model for cart population (if needed for internal logic)
 const Order = require('../models/Order'); // Order model (needed for user deletion logic)
-const { protect, authorize } = require('../middleware/authMiddleware'); // Import middleware
+const { protect, requirePermission, protectPreAuth, protectOrPreAuth, requireStepUp } = require('../middleware/authMiddleware'); // Import middleware
+const { ADDRESS_FIELDS, formatAddress } = require('../utils/addressUtils'); // Address book helpers
+const Session = require('../models/Session'); // Login sessions (one per device)
+const { createSession, rotateRefreshToken, revokeSession, revokeAllSessions, generatePreAuthToken } = require('../utils/sessions'); // Access/refresh tokens
+const { issueToken, lastIssuedAt, findToken, consumeToken, discardTokens } = require('../utils/accountTokens'); // Emailed single-use tokens
+const { sendPasswordResetEmail, sendPasswordChangedEmail } = require('../utils/emails'); // Account emails
+const { sendVerification, verifyEmail, resendWaitSeconds } = require('../utils/emailVerification'); // Email confirmation
+const { attemptKeys, beginAttempt, recordSuccess, sendBlocked, listLockouts, clearLockout } = require('../utils/loginThrottle'); // Brute-force protection
+const {
+    isTwoFactorRequired, loadUserWithSecrets, startEnrollment, confirmEnrollment,
+    verifySecondFactor, regenerateRecoveryCodes, disableTwoFactor
+} = require('../utils/twoFactor'); // TOTP two-factor authentication
+const { PERMISSIONS, ROLE_PERMISSIONS, ROLES, permissionsFor } = require('../utils/permissions'); // Roles and permissions
+const { getStore } = require('../services/rateLimit'); // Shared counters for request limits
+
+// How long a password reset link stays valid
+const passwordResetTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+// Minimum time between reset emails to one account
+const passwordResetResendSeconds = () => parseInt(process.env.PASSWORD_RESET_RESEND_SECONDS, 10) || 60;
+// Reset requests allowed from one IP address per window
+const passwordResetIpMax = () => parseInt(process.env.PASSWORD_RESET_IP_MAX, 10) || 10;
+const passwordResetIpWindowMinutes = () => parseInt(process.env.PASSWORD_RESET_IP_WINDOW_MINUTES, 10) || 60;
 
 const router = express.Router();
 
-// Helper function to generate JWT token
-// Now includes email and role in the payload for easier access in middleware
-const generateToken = (id, email, role) => {
-    // Ensure JWT_SECRET is loaded from environment variables
-    if (!process.env.JWT_SECRET) {
-        throw new Error('secretOrPrivateKey must have a value. JWT_SECRET environment variable is not set.');
-    }
-    return jwt.sign({ id, email, role }, process.env.JWT_SECRET, {
-        expiresIn: '1h', // Token expires in 1 hour
-    });
-};
+// Body of a successful login: essential user details and the session's tokens
+const loginResponse = (user, { token, refreshToken, accessTokenExpiresIn, refreshTokenExpiresAt }) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    permissions: permissionsFor(user.role), // Lets the client show only the admin screens this user can use
+    address: user.address,
+    phone: user.phone,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    token, // Access token for the Authorization header
+    refreshToken, // Exchange at POST /api/auth/refresh when the access token expires
+    accessTokenExpiresIn,
+    refreshTokenExpiresAt
+});
 
 // @route   POST /api/auth/register
-// @desc    Register a new user with name, address, phone, and default role 'user'
+// @desc    Register a new user with name, address, phone, and default role 'user', and email a verification link
 // @access  Public
 router.post('/register', async (req, res) => {
     // Extract all required fields for new user registration
@@ -55,8 +81,12 @@ router.post('/register', async (req, res) => {
         // Save the new user to the database
         await user.save();
 
+        // Email the verification link. A mail failure does not undo the registration; the user can resend it.
+        await sendVerification(user, { ip: req.ip })
+            .catch(error => console.error('Verification email error:', error));
+
         // Respond with success message. No token is sent on registration for security best practices.
-        res.status(201).json({ message: 'Registration successful! Please log in.' });
+        res.status(201).json({ message: 'Registration successful! Please check your email to verify your address, then log in.' });
 
     } catch (error) {
         // Log the full error for debugging purposes on the server side
@@ -71,7 +101,10 @@ router.post('/register', async (req, res) => {
 });
 
 // @route   POST /api/auth/login
-// @desc    Authenticate user and return JWT token along with user details
+// @desc    Authenticate user and start a session: returns a short-lived access token (`token`),
+//          a refresh token and user details. Accounts with two-factor get `twoFactorRequired` and a
+//          `preAuthToken` for POST /api/auth/login/2fa instead; roles that require two-factor but have
+//          not enrolled get `twoFactorSetupRequired` and a `preAuthToken` for /api/auth/2fa/setup and /enable.
 // @access  Public
 router.post('/login', async (req, res) => {
     const { email, password } = req.body;
@@ -82,32 +115,172 @@ router.post('/login', async (req, res) => {
     }
 
     try {
+        // Count the attempt up front (refusing it while the account or IP is delayed or locked out);
+        // it is taken back below if the password is right
+        const keys = attemptKeys(req, email);
+        const block = await beginAttempt(keys);
+        if (block) {
+            return sendBlocked(res, block);
+        }
+
         // Find the user by email
         const user = await User.findOne({ email });
 
         // Check if user exists and if the provided password matches the stored hashed password
         // Uses the matchPassword method defined on the User schema
+        // Unknown emails count as failures too, so lockouts do not reveal which accounts exist
         if (!user || !(await user.matchPassword(password))) {
             return res.status(401).json({ message: 'Invalid email or password.' });
         }
+        await recordSuccess(keys);
+
+        // The password alone is not enough when two-factor is on (or mandatory for the role)
+        if (user.twoFactor.enabled) {
+            return res.json({ twoFactorRequired: true, preAuthToken: generatePreAuthToken(user, 'verify') });
+        }
+        if (isTwoFactorRequired(user)) {
+            return res.json({
+                twoFactorSetupRequired: true,
+                message: `Two-factor authentication is required for ${user.role} accounts. Set it up to finish logging in.`,
+                preAuthToken: generatePreAuthToken(user, 'enroll')
+            });
+        }
+
+        // Start a session for this device; the access token carries its id
+        const tokens = await createSession(user, req);
+
+        // Respond with essential user details and the tokens
+        res.json(loginResponse(user, tokens));
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ message: 'Server error during login. Please try again.' });
+    }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: `preAuthToken` from login plus an authenticator `code` or a `recoveryCode`
+// @access  Public (requires a pre-auth token)
+router.post('/login/2fa', protectPreAuth('verify'), async (req, res) => {
+    const { code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+        return res.status(400).json({ message: 'An authenticator code or a recovery code is required.' });
+    }
+
+    try {
+        // Codes have their own counter: a correct password (logging in again) never resets it
+        const keys = attemptKeys(req, req.user.email, 'second_factor');
+        const block = await beginAttempt(keys);
+        if (block) {
+            return sendBlocked(res, block);
+        }
 
-        // Generate a JWT token including user ID, email, and role
-        const token = generateToken(user._id, user.email, user.role);
+        const user = await loadUserWithSecrets(req.user._id);
+        const verified = user && await verifySecondFactor(user, { code, recoveryCode });
+        if (!verified) {
+            return res.status(401).json({ message: 'Invalid or already used code.' });
+        }
+        await recordSuccess(keys);
 
-        // Respond with essential user details and the generated token
+        const tokens = await createSession(user, req, { twoFactorVerifiedAt: new Date() });
+        res.json({
+            ...loginResponse(user, tokens),
+            ...(verified.method === 'recovery_code' ? { recoveryCodesRemaining: verified.recoveryCodesRemaining } : {})
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ message: 'Server error during login. Please try again.' });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and a new refresh token (the old one stops working)
+// @access  Public (requires a refresh token)
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    try {
+        const result = await rotateRefreshToken(refreshToken, (userId) => User.findById(userId).select('-password'));
+        if (result.error) {
+            return res.status(401).json({ message: result.error });
+        }
+        const { user, token, refreshToken: newRefreshToken, accessTokenExpiresIn, refreshTokenExpiresAt } = result;
         res.json({
             _id: user._id,
-            name: user.name,
-            email: user.email,
             role: user.role,
-            address: user.address,
-            phone: user.phone,
-            token, // Send the token back to the client
+            token,
+            refreshToken: newRefreshToken,
+            accessTokenExpiresIn,
+            refreshTokenExpiresAt
         });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ message: 'Server error refreshing session.' });
+    }
+});
 
+// @route   POST /api/auth/logout
+// @desc    End the current session (its access and refresh tokens stop working)
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+    try {
+        await revokeSession(req.authSession._id, 'logout');
+        res.json({ message: 'Logged out successfully.' });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ message: 'Server error during login. Please try again.' });
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out on all devices, including this one
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        const result = await revokeAllSessions(req.user._id, 'logout_all');
+        res.json({ message: 'Logged out on all devices.', sessionsEnded: result.modifiedCount });
+    } catch (error) {
+        console.error('Logout all devices error:', error);
+        res.status(500).json({ message: 'Server error logging out devices.' });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (devices)
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        const sessions = await Session.find({ userId: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('userAgent ip createdAt lastUsedAt expiresAt')
+            .sort({ lastUsedAt: -1 });
+        res.json(sessions.map(session => ({
+            ...session.toObject(),
+            current: session._id.equals(req.authSession._id)
+        })));
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ message: 'Server error listing sessions.' });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    End one of the current user's sessions (e.g. a lost phone)
+// @access  Private
+router.delete('/sessions/:sessionId', protect, async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.sessionId, userId: req.user._id, revokedAt: null });
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found.' });
+        }
+        await revokeSession(session._id, 'revoked_by_user');
+        res.json({ message: 'Session ended.' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ message: 'Server error ending session.' });
     }
 });
 
@@ -122,6 +295,13 @@ router.post('/verify-password', protect, async (req, res) => {
     }
 
     try {
+        // Guesses here count against the same account limit as login
+        const keys = attemptKeys(req, req.user.email);
+        const block = await beginAttempt(keys);
+        if (block) {
+            return sendBlocked(res, block);
+        }
+
         // req.user is populated by the 'protect' middleware with the authenticated user's ID
         const user = await User.findById(req.user._id);
 
@@ -136,6 +316,7 @@ router.post('/verify-password', protect, async (req, res) => {
             // If password does not match, return 401 Unauthorized
             return res.status(401).json({ message: 'Incorrect password. Verification failed.' });
         }
+        await recordSuccess(keys);
 
         // If password matches, send a success response
         res.status(200).json({ message: 'Password verified successfully.' });
@@ -146,6 +327,387 @@ router.post('/verify-password', protect, async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address with the token from the verification email
+// @access  Public (requires a verification token)
+router.post('/verify-email', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ message: 'Verification token is required.' });
+    }
+
+    try {
+        const user = await verifyEmail(token);
+        if (!user) {
+            return res.status(400).json({ message: 'This verification link is invalid or has expired.' });
+        }
+        res.json({ message: 'Your email address has been verified.', emailVerified: true });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'Server error verifying email.' });
+    }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email (earlier links stop working); limited to one per
+//          EMAIL_VERIFICATION_RESEND_SECONDS
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ message: 'Your email address is already verified.' });
+        }
+
+        const waitSeconds = resendWaitSeconds(user);
+        if (waitSeconds > 0) {
+            res.set('Retry-After', String(waitSeconds));
+            return res.status(429).json({
+                message: `Please wait ${waitSeconds} seconds before requesting another verification email.`,
+                retryAfter: waitSeconds
+            });
+        }
+
+        await sendVerification(user, { ip: req.ip });
+        res.json({ message: `Verification email sent to ${user.email}.` });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Server error sending verification email.' });
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment: returns a new secret and its otpauth:// URI to show as a QR code.
+//          Also accepts an 'enroll' `preAuthToken` from login in place of a session.
+// @access  Private (or pre-auth)
+router.post('/2fa/setup', protectOrPreAuth('enroll'), async (req, res) => {
+    try {
+        const user = await loadUserWithSecrets(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+
+        const { secret, otpauthUrl } = await startEnrollment(user);
+        res.json({ secret, otpauthUrl });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ message: 'Server error starting two-factor setup.' });
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrollment with the first `code` from the app. Returns one-time recovery codes (shown only now)
+//          and signs out other devices. With a `preAuthToken` it also completes the login.
+// @access  Private (or pre-auth)
+router.post('/2fa/enable', protectOrPreAuth('enroll'), async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ message: 'Authenticator code is required.' });
+    }
+
+    try {
+        const keys = attemptKeys(req, req.user.email, 'second_factor');
+        const block = await beginAttempt(keys);
+        if (block) {
+            return sendBlocked(res, block);
+        }
+
+        const user = await loadUserWithSecrets(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+        }
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({ message: 'Start two-factor setup first.' });
+        }
+
+        const recoveryCodes = await confirmEnrollment(user, code);
+        if (!recoveryCodes) {
+            return res.status(401).json({ message: 'Invalid code. Check the time on your device and try again.' });
+        }
+        await recordSuccess(keys);
+
+        if (req.preAuth) {
+            const tokens = await createSession(user, req, { twoFactorVerifiedAt: new Date() });
+            return res.json({ ...loginResponse(user, tokens), recoveryCodes });
+        }
+
+        // Sessions started without the second factor end; this one counts as verified
+        await revokeAllSessions(user._id, 'two_factor_enabled', { exceptSessionId: req.authSession._id });
+        req.authSession.twoFactorVerifiedAt = new Date();
+        await req.authSession.save();
+        res.json({ message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.', recoveryCodes });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ message: 'Server error enabling two-factor authentication.' });
+    }
+});
+
+// @route   POST /api/auth/2fa/step-up
+// @desc    Confirm an authenticator `code` (or `recoveryCode`) to unlock sensitive actions in this session
+//          for STEP_UP_MAX_AGE_MINUTES
+// @access  Private
+router.post('/2fa/step-up', protect, async (req, res) => {
+    const { code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+        return res.status(400).json({ message: 'An authenticator code or a recovery code is required.' });
+    }
+
+    try {
+        const keys = attemptKeys(req, req.user.email, 'second_factor');
+        const block = await beginAttempt(keys);
+        if (block) {
+            return sendBlocked(res, block);
+        }
+
+        const user = await loadUserWithSecrets(req.user._id);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        const verified = await verifySecondFactor(user, { code, recoveryCode });
+        if (!verified) {
+            return res.status(401).json({ message: 'Invalid or already used code.' });
+        }
+        await recordSuccess(keys);
+
+        req.authSession.twoFactorVerifiedAt = new Date();
+        await req.authSession.save();
+        res.json({
+            message: 'Verified.',
+            ...(verified.method === 'recovery_code' ? { recoveryCodesRemaining: verified.recoveryCodesRemaining } : {})
+        });
+    } catch (error) {
+        console.error('Two-factor step-up error:', error);
+        res.status(500).json({ message: 'Server error verifying code.' });
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (requires a current authenticator `code`); the old ones stop working
+// @access  Private
+router.post('/2fa/recovery-codes', protect, async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ message: 'Authenticator code is required.' });
+    }
+
+    try {
+        const keys = attemptKeys(req, req.user.email, 'second_factor');
+        const block = await beginAttempt(keys);
+        if (block) {
+            return sendBlocked(res, block);
+        }
+
+        const user = await loadUserWithSecrets(req.user._id);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        if (!(await verifySecondFactor(user, { code }))) {
+            return res.status(401).json({ message: 'Invalid or already used code.' });
+        }
+        await recordSuccess(keys);
+
+        const recoveryCodes = await regenerateRecoveryCodes(user);
+        res.json({ recoveryCodes });
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ message: 'Server error generating recovery codes.' });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor off (requires the `password` and a current `code`); not allowed where the role requires it
+// @access  Private
+router.post('/2fa/disable', protect, async (req, res) => {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+        return res.status(400).json({ message: 'Password and authenticator code are required.' });
+    }
+    if (isTwoFactorRequired(req.user)) {
+        return res.status(403).json({ message: `Two-factor authentication is required for ${req.user.role} accounts.` });
+    }
+
+    try {
+        const keys = attemptKeys(req, req.user.email, 'second_factor');
+        const block = await beginAttempt(keys);
+        if (block) {
+            return sendBlocked(res, block);
+        }
+
+        const user = await loadUserWithSecrets(req.user._id);
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+        }
+        if (!(await user.matchPassword(password)) || !(await verifySecondFactor(user, { code }))) {
+            return res.status(401).json({ message: 'Incorrect password or code.' });
+        }
+        await recordSuccess(keys);
+
+        await disableTwoFactor(user);
+        res.json({ message: 'Two-factor authentication disabled.' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ message: 'Server error disabling two-factor authentication.' });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. The response is the same whether or not the email is registered.
+//          At most one email per PASSWORD_RESET_RESEND_SECONDS per account and PASSWORD_RESET_IP_MAX
+//          requests per PASSWORD_RESET_IP_WINDOW_MINUTES per IP address.
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    try {
+        const attempts = await getStore().increment(`forgot:ip:${req.ip}`, passwordResetIpWindowMinutes() * 60 * 1000);
+        if (attempts.count > passwordResetIpMax()) {
+            const retryAfter = Math.max(1, Math.ceil((attempts.expiresAt - Date.now()) / 1000));
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                message: 'Too many password reset requests. Please try again later.',
+                retryAfter
+            });
+        }
+
+        const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+        const sentAt = user && await lastIssuedAt(user._id, 'password_reset');
+        // Within the resend interval the earlier link is still valid, so no new email is sent. The
+        // response stays the same so it does not reveal whether the account exists.
+        const recentlySent = sentAt && Date.now() - sentAt.getTime() < passwordResetResendSeconds() * 1000;
+        if (user && !recentlySent) {
+            const ttlMinutes = passwordResetTtlMinutes();
+            const token = await issueToken(user._id, 'password_reset', ttlMinutes * 60 * 1000, { ip: req.ip });
+            // A mail failure is logged rather than returned so the response never reveals whether the account exists
+            await sendPasswordResetEmail(user, token, ttlMinutes).catch(error => console.error('Password reset email error:', error));
+        }
+        res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Server error requesting password reset.' });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email; ends all of the user's sessions
+// @access  Public (requires a reset token)
+router.post('/reset-password', async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ message: 'Reset token and new password are required.' });
+    }
+
+    try {
+        const invalidLink = () => res.status(400).json({ message: 'This password reset link is invalid or has expired.' });
+
+        // Check the new password before spending the token, so a rejected password leaves the link usable
+        const resetToken = await findToken(token, 'password_reset');
+        const user = resetToken && await User.findById(resetToken.userId);
+        if (!user) {
+            return invalidLink();
+        }
+
+        user.password = password; // Hashed by the pre-save hook
+        if (!user.emailVerified) {
+            // Opening the emailed link proves the address, the same as the verification link
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.validate();
+
+        // Redeem the token and store the password together: either both happen or neither does
+        let redeemed = false;
+        await mongoose.connection.transaction(async (session) => {
+            redeemed = false;
+            if (!await consumeToken(token, 'password_reset', { session })) {
+                return; // Used by a concurrent request in the meantime
+            }
+            await user.save({ session });
+            await discardTokens(user._id, 'password_reset', { session });
+            redeemed = true;
+        });
+        if (!redeemed) {
+            return invalidLink();
+        }
+        await revokeAllSessions(user._id, 'password_reset');
+        sendPasswordChangedEmail(user).catch(error => console.error('Password changed email error:', error));
+
+        res.json({ message: 'Your password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error resetting password.' });
+    }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change the current user's password (requires the current password); signs out other devices
+// @access  Private
+router.put('/password', protect, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'Current password and new password are required.' });
+    }
+
+    try {
+        const keys = attemptKeys(req, req.user.email);
+        const block = await beginAttempt(keys);
+        if (block) {
+            return sendBlocked(res, block);
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'Authenticated user not found in database.' });
+        }
+
+        if (!(await user.matchPassword(currentPassword))) {
+            return res.status(401).json({ message: 'Current password is incorrect.' });
+        }
+        await recordSuccess(keys);
+        if (currentPassword === newPassword) {
+            return res.status(400).json({ message: 'New password must be different from the current password.' });
+        }
+
+        user.password = newPassword; // Hashed by the pre-save hook
+        await user.save();
+        await discardTokens(user._id, 'password_reset');
+        // Keep this device signed in; every other session ends
+        await revokeAllSessions(user._id, 'password_changed', { exceptSessionId: req.authSession._id });
+        sendPasswordChangedEmail(user).catch(error => console.error('Password changed email error:', error));
+
+        res.json({ message: 'Password changed successfully.' });
+    } catch (error) {
+        console.error('Change password error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error changing password.' });
+    }
+});
 
 // @route   GET /api/auth/profile
 // @desc    Get the profile of the currently logged-in user
@@ -211,13 +773,147 @@ router.put('/profile', protect, async (req, res) => {
     }
 });
 
+// Make `address` the only default entry and mirror it into the legacy single-line User.address
+const setDefaultAddress = (user, address) => {
+    user.addresses.forEach(entry => {
+        entry.isDefault = entry._id.equals(address._id);
+    });
+    user.address = formatAddress(address);
+};
+
+// @route   GET /api/auth/profile/addresses
+// @desc    List the logged-in user's saved addresses
+// @access  Private
+router.get('/profile/addresses', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('addresses');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        res.json(user.addresses);
+    } catch (error) {
+        console.error('Fetch addresses error:', error);
+        res.status(500).json({ message: 'Server error fetching addresses.' });
+    }
+});
+
+// @route   POST /api/auth/profile/addresses
+// @desc    Add an address (label, line1, line2, city, postalCode, deliveryInstructions, isDefault)
+// @access  Private
+router.post('/profile/addresses', protect, async (req, res) => {
+    const { line1, city, postalCode, isDefault } = req.body;
+
+    if (!line1 || !city || !postalCode) {
+        return res.status(400).json({ message: 'Address line 1, city and postal code are required.' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const fields = {};
+        ADDRESS_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        });
+        user.addresses.push(fields);
+        const address = user.addresses[user.addresses.length - 1];
+
+        // The first address is always the default
+        if (isDefault || user.addresses.length === 1) {
+            setDefaultAddress(user, address);
+        }
+
+        await user.save();
+        res.status(201).json(user.addresses);
+    } catch (error) {
+        console.error('Add address error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error adding address.' });
+    }
+});
+
+// @route   PUT /api/auth/profile/addresses/:addressId
+// @desc    Update a saved address; send isDefault: true to make it the default
+// @access  Private
+router.put('/profile/addresses/:addressId', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const address = user.addresses.id(req.params.addressId);
+        if (!address) {
+            return res.status(404).json({ message: 'Address not found.' });
+        }
+
+        ADDRESS_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) address[field] = req.body[field];
+        });
+
+        if (req.body.isDefault === true || address.isDefault) {
+            setDefaultAddress(user, address); // Also refreshes the legacy address if the default was edited
+        }
+
+        await user.save();
+        res.json(user.addresses);
+    } catch (error) {
+        console.error('Update address error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server error updating address.' });
+    }
+});
+
+// @route   DELETE /api/auth/profile/addresses/:addressId
+// @desc    Delete a saved address (the next address becomes default if the default is removed)
+// @access  Private
+router.delete('/profile/addresses/:addressId', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        const address = user.addresses.id(req.params.addressId);
+        if (!address) {
+            return res.status(404).json({ message: 'Address not found.' });
+        }
+
+        const wasDefault = address.isDefault;
+        address.deleteOne();
+        if (wasDefault && user.addresses.length > 0) {
+            setDefaultAddress(user, user.addresses[0]);
+        }
+
+        await user.save();
+        res.json(user.addresses);
+    } catch (error) {
+        console.error('Delete address error:', error);
+        res.status(500).json({ message: 'Server error deleting address.' });
+    }
+});
+
 // @route   GET /api/auth/users
-// @desc    Get a list of all users (Admin access only)
-// @access  Private (Admin, requires valid JWT token and admin role)
-router.get('/users', protect, authorize('admin'), async (req, res) => {
+// @desc    Get a list of all users, optionally only those with ?role=<role> (e.g. to list staff)
+// @access  Private (users:read)
+router.get('/users', protect, requirePermission('users:read'), async (req, res) => {
+    const { role } = req.query;
+
+    if (role && !ROLES.includes(role)) {
+        return res.status(400).json({ message: `Unknown role. Roles: ${ROLES.join(', ')}.` });
+    }
+
     try {
         // Find all users and exclude their passwords and cart from the response
-        const users = await User.find().select('-password -cart');
+        const users = await User.find(role ? { role } : {}).select('-password -cart');
         res.json(users);
     } catch (error) {
         console.error('Get all users error:', error);
@@ -225,15 +921,60 @@ router.get('/users', protect, authorize('admin'), async (req, res) => {
     }
 });
 
+// @route   GET /api/auth/lockouts
+// @desc    List accounts and IPs currently locked out after repeated failed password attempts
+// @access  Private (users:manage)
+router.get('/lockouts', protect, requirePermission('users:manage'), async (req, res) => {
+    try {
+        res.json(await listLockouts());
+    } catch (error) {
+        console.error('List lockouts error:', error);
+        res.status(500).json({ message: 'Server error listing lockouts.' });
+    }
+});
+
+// @route   DELETE /api/auth/lockouts/:key
+// @desc    Clear a lockout and its failure count; key is "account:<email>", "2fa:<email>" (second-factor codes)
+//          or "ip:<address>" (URL-encoded)
+// @access  Private (users:manage)
+router.delete('/lockouts/:key', protect, requirePermission('users:manage'), async (req, res) => {
+    const { key } = req.params;
+
+    if (!/^(account|2fa|ip):.+/.test(key)) {
+        return res.status(400).json({ message: 'Lockout key must look like "account:<email>", "2fa:<email>" or "ip:<address>".' });
+    }
+
+    try {
+        if (!(await clearLockout(key))) {
+            return res.status(404).json({ message: 'No lockout found for that key.' });
+        }
+        console.log(`Lockout ${key} cleared by ${req.user.email}.`);
+        res.json({ message: 'Lockout cleared.' });
+    } catch (error) {
+        console.error('Clear lockout error:', error);
+        res.status(500).json({ message: 'Server error clearing lockout.' });
+    }
+});
+
+// @route   GET /api/auth/roles
+// @desc    List the roles that can be assigned and the permissions each grants
+// @access  Private (users:read)
+router.get('/roles', protect, requirePermission('users:read'), (req, res) => {
+    res.json(ROLES.map(role => ({
+        role,
+        permissions: ROLE_PERMISSIONS[role].map(name => ({ name, description: PERMISSIONS[name] }))
+    })));
+});
+
 // @route   PUT /api/auth/users/:id/role
-// @desc    Update a user's role (Admin only)
-// @access  Private (Admin)
-router.put('/users/:id/role', protect, authorize('admin'), async (req, res) => {
-    const { role } = req.body; // New role ('user' or 'admin')
+// @desc    Assign a user's role (see GET /api/auth/roles); ends the user's sessions so the change applies at once
+// @access  Private (users:manage, recent two-factor check)
+router.put('/users/:id/role', protect, requirePermission('users:manage'), requireStepUp, async (req, res) => {
+    const { role } = req.body; // New role (one of ROLES in utils/permissions)
     const userId = req.params.id;
 
-    if (!role || !['user', 'admin'].includes(role)) {
-        return res.status(400).json({ message: 'Invalid role specified. Role must be "user" or "admin".' });
+    if (!role || !ROLES.includes(role)) {
+        return res.status(400).json({ message: `Invalid role specified. Role must be one of: ${ROLES.join(', ')}.` });
     }
 
     try {
@@ -251,6 +992,8 @@ router.put('/users/:id/role', protect, authorize('admin'), async (req, res) => {
 
         user.role = role;
         const updatedUser = await user.save();
+        // Tokens issued under the old role must not outlive the change
+        await revokeAllSessions(user._id, 'role_changed');
 
         // Respond with the updated user's details (excluding password and cart)
         res.json({
@@ -258,6 +1001,7 @@ router.put('/users/:id/role', protect, authorize('admin'), async (req, res) => {
             name: updatedUser.name,
             email: updatedUser.email,
             role: updatedUser.role,
+            permissions: permissionsFor(updatedUser.role),
             message: `User role updated to ${updatedUser.role}`
         });
 
@@ -268,9 +1012,9 @@ router.put('/users/:id/role', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   DELETE /api/auth/users/:id
-// @desc    Delete a user (Admin only)
-// @access  Private (Admin)
-router.delete('/users/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Delete a user
+// @access  Private (users:manage, recent two-factor check)
+router.delete('/users/:id', protect, requirePermission('users:manage'), requireStepUp, async (req, res) => {
     const userId = req.params.id;
 
     try {
@@ -287,6 +1031,7 @@ router.delete('/users/:id', protect, authorize('admin'), async (req, res) => {
 
         // Delete the user
         await user.deleteOne(); // Use deleteOne() for Mongoose 6+
+        await Session.deleteMany({ userId: user._id }); // Ends every login of the deleted account
 
         // Optionally, delete associated data like orders for this user
         // Consider this based on your application's data integrity requirements
@@ -2,11 +2,15 @@ const express = require('express');
 const User = require('../models/User'); // Import User model as cart is embedded
 const Product = require('../models/Product'); // Import Product model to check stock and details
 const { protect } = require('../middleware/authMiddleware'); // Import middleware
+const { addItemToCart } = require('../utils/cartUtils'); // Shared cart stock rules
+const { calculatePricing } = require('../utils/pricing'); // Same price breakdown as checkout
+const { reserveForCart, releaseHold, releaseAllHolds } = require('../utils/reservations'); // Cart stock holds
+const { lineKey, displayName, resolveVariant } = require('../utils/variants'); // Variant lookup and line matching
 
 const router = express.Router();
 
 // @route   GET /api/cart
-// @desc    Get user's cart (populated with product details)
+// @desc    Get user's cart (populated with product details) and its price breakdown
 // @access  Private
 router.get('/', protect, async (req, res) => {
     try {
@@ -14,14 +18,29 @@ router.get('/', protect, async (req, res) => {
         let user = await User.findById(req.user.id).populate({
             path: 'cart.productId', // Path to the product reference in the cart array
             model: 'Product' // Model to use for population
+        }).populate({
+            path: 'cart.variantId', // Chosen variant, for products with variants
+            model: 'ProductVariant'
         });
 
         if (!user) {
             return res.status(404).json({ message: 'User not found.' });
         }
 
-        // Return the populated cart
-        res.json({ items: user.cart || [] });
+        // Price the lines whose product (and variant) still exists, exactly as checkout will
+        const pricing = calculatePricing(user.cart
+            .filter(item => item.productId && (item.variantId || !item.productId.hasVariants))
+            .map(item => ({
+                productId: item.productId._id,
+                variantId: item.variantId ? item.variantId._id : undefined,
+                name: displayName(item.productId, item.variantId),
+                price: (item.variantId || item.productId).price,
+                quantity: item.quantity,
+                category: item.productId.category
+            })));
+
+        // Return the populated cart with its price breakdown (minor units)
+        res.json({ items: user.cart || [], pricing });
     } catch (err) {
         console.error('Error fetching cart:', err);
         res.status(500).json({ message: 'Server Error' });
@@ -30,10 +49,10 @@ router.get('/', protect, async (req, res) => {
 
 
 // @route   POST /api/cart
-// @desc    Add item to cart or update quantity if already exists
+// @desc    Add item to cart or update quantity if already exists (variantId is required for products with variants)
 // @access  Private
 router.post('/', protect, async (req, res) => {
-    const { productId, quantity } = req.body; // quantity is assumed to be 1 for initial add
+    const { productId, variantId, quantity } = req.body; // quantity is assumed to be 1 for initial add
 
     if (!productId || !quantity || quantity <= 0) {
         return res.status(400).json({ message: 'Product ID and a positive quantity are required.' });
@@ -49,25 +68,15 @@ router.post('/', protect, async (req, res) => {
         if (!product) {
             return res.status(404).json({ message: 'Product not found.' });
         }
+        const { variant, error: variantError } = await resolveVariant(product, variantId);
+        if (variantError) {
+            return res.status(400).json({ message: variantError });
+        }
 
-        let cartItem = user.cart.find(item => item.productId.toString() === productId);
-
-        if (cartItem) {
-            // Update quantity if item already in cart
-            const newQuantity = cartItem.quantity + quantity;
-            if (newQuantity > product.stock) {
-                return res.status(400).json({ message: `Insufficient stock for ${product.name}. Available: ${product.stock}, Requested: ${newQuantity}` });
-            }
-            cartItem.quantity = newQuantity;
-        } else {
-            // Add new item to cart
-            if (quantity > product.stock) {
-                return res.status(400).json({ message: `Insufficient stock for ${product.name}. Available: ${product.stock}, Requested: ${quantity}` });
-            }
-            user.cart.push({
-                productId: productId,
-                quantity: quantity
-            });
+        // Merge into the existing cart line (or add a new one), enforcing available stock
+        const stockError = await addItemToCart(user, product, quantity, variant);
+        if (stockError) {
+            return res.status(400).json({ message: stockError });
         }
 
         await user.save();
@@ -76,6 +85,9 @@ router.post('/', protect, async (req, res) => {
         user = await User.findById(req.user.id).populate({
             path: 'cart.productId',
             model: 'Product'
+        }).populate({
+            path: 'cart.variantId',
+            model: 'ProductVariant'
         });
 
         res.status(200).json({ items: user.cart });
@@ -86,10 +98,10 @@ router.post('/', protect, async (req, res) => {
 });
 
 // @route   PUT /api/cart/:productId
-// @desc    Update quantity of item in cart
+// @desc    Update quantity of item in cart (body variantId picks the line for products with variants)
 // @access  Private
 router.put('/:productId', protect, async (req, res) => {
-    const { quantity } = req.body;
+    const { quantity, variantId } = req.body;
 
     // Validate new quantity
     if (quantity === undefined || quantity < 0) {
@@ -102,7 +114,8 @@ router.put('/:productId', protect, async (req, res) => {
             return res.status(404).json({ message: 'User not found.' });
         }
 
-        const cartItem = user.cart.find(item => item.productId.toString() === req.params.productId);
+        const key = lineKey({ productId: req.params.productId, variantId });
+        const cartItem = user.cart.find(item => lineKey(item) === key);
 
         if (!cartItem) {
             return res.status(404).json({ message: 'Item not found in cart.' });
@@ -115,21 +128,34 @@ router.put('/:productId', protect, async (req, res) => {
 
         if (quantity === 0) {
             // Remove item if quantity is set to 0
-            user.cart = user.cart.filter(item => item.productId.toString() !== req.params.productId);
+            user.cart = user.cart.filter(item => lineKey(item) !== key);
+            await releaseHold(user._id, product._id, cartItem.variantId);
         } else {
-            // Check stock before updating quantity
-            if (quantity > product.stock) {
-                return res.status(400).json({ message: `Insufficient stock for ${product.name}. Available: ${product.stock}, Requested: ${quantity}` });
+            let variant = null;
+            if (cartItem.variantId) {
+                const result = await resolveVariant(product, cartItem.variantId);
+                if (result.error) {
+                    return res.status(404).json({ message: result.error });
+                }
+                variant = result.variant;
+            }
+            // Check available stock (and move the hold, in reservation mode) before updating quantity
+            const stockError = await reserveForCart(user._id, product, quantity, variant);
+            if (stockError) {
+                return res.status(400).json({ message: stockError });
             }
             cartItem.quantity = quantity;
         }
-        
+
         await user.save();
 
         // Re-populate cart for response
         user = await User.findById(req.user.id).populate({
             path: 'cart.productId',
             model: 'Product'
+        }).populate({
+            path: 'cart.variantId',
+            model: 'ProductVariant'
         });
 
         res.status(200).json({ items: user.cart });
@@ -139,10 +165,33 @@ router.put('/:productId', protect, async (req, res) => {
     }
 });
 
-// @route   DELETE /api/cart/:productId
-// @desc    Remove item from cart
+// @route   DELETE /api/cart/clear
+// @desc    Clear user's entire cart
+// @access  Private
+// Registered before DELETE /:productId so 'clear' is not taken as a product ID
+router.delete('/clear', protect, async (req, res) => {
+    try {
+        let user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        user.cart = []; // Empty the cart array
+        await user.save();
+        await releaseAllHolds(user._id);
+
+        res.status(200).json({ message: 'Cart cleared successfully.', items: [] });
+    } catch (err) {
+        console.error('Error clearing cart:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/cart/:productId?variantId=
+// @desc    Remove item from cart (variantId picks the line for products with variants)
 // @access  Private
 router.delete('/:productId', protect, async (req, res) => {
+    const { variantId } = req.query;
     try {
         let user = await User.findById(req.user.id);
         if (!user) {
@@ -150,18 +199,23 @@ router.delete('/:productId', protect, async (req, res) => {
         }
 
         const initialCartLength = user.cart.length;
-        user.cart = user.cart.filter(item => item.productId.toString() !== req.params.productId);
+        const key = lineKey({ productId: req.params.productId, variantId });
+        user.cart = user.cart.filter(item => lineKey(item) !== key);
 
         if (user.cart.length === initialCartLength) {
             return res.status(404).json({ message: 'Item not found in cart.' });
         }
 
         await user.save();
+        await releaseHold(user._id, req.params.productId, variantId || null);
 
         // Re-populate cart for response
         user = await User.findById(req.user.id).populate({
             path: 'cart.productId',
             model: 'Product'
+        }).populate({
+            path: 'cart.variantId',
+            model: 'ProductVariant'
         });
 
         res.status(200).json({ items: user.cart, message: 'Item removed from cart.' });
@@ -171,24 +225,4 @@ router.delete('/:productId', protect, async (req, res) => {
     }
 });
 
-// @route   DELETE /api/cart/clear
-// @desc    Clear user's entire cart
-// @access  Private
-router.delete('/clear', protect, async (req, res) => {
-    try {
-        let user = await User.findById(req.user.id);
-        if (!user) {
-            return res.status(404).json({ message: 'User not found.' });
-        }
-
-        user.cart = []; // Empty the cart array
-        await user.save();
-
-        res.status(200).json({ message: 'Cart cleared successfully.', items: [] });
-    } catch (err) {
-        console.error('Error clearing cart:', err);
-        res.status(500).json({ message: 'Server Error' });
-    }
-});
-
 module.exports = router;
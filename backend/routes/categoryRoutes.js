@@ -0,0 +1,213 @@
+// routes/categoryRoutes.js - Category tree (public) and category management (admin)
+const express = require('express');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { buildTree, findCategory, updateDescendantAncestors, syncProductCategoryName, availableSlug } = require('../utils/categories');
+const { slugify } = require('../utils/textUtils');
+
+const router = express.Router();
+
+const validationMessage = (error) => Object.values(error.errors).map(val => val.message).join(', ');
+
+// @route   GET /api/categories
+// @desc    Active categories as a nested tree (children sorted by sortOrder, then name)
+// @access  Public
+router.get('/', async (req, res) => {
+    try {
+        const categories = await Category.find();
+        // A hidden category hides everything below it
+        const hidden = new Set(categories.filter(category => !category.isActive).map(category => category._id.toString()));
+        const visible = categories.filter(category => category.isActive
+            && !category.ancestors.some(id => hidden.has(id.toString())));
+        res.json(buildTree(visible));
+    } catch (err) {
+        console.error('Error fetching category tree:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/categories/admin
+// @desc    Full category tree including hidden categories, with product counts
+// @access  Private (categories:write)
+router.get('/admin', protect, requirePermission('categories:write'), async (req, res) => {
+    try {
+        const categories = await Category.find();
+        const counts = await Product.aggregate([
+            { $match: { categoryId: { $ne: null } } },
+            { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+        ]);
+        const countById = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+        const addCounts = (nodes) => nodes.map(node => ({
+            ...node,
+            productCount: countById.get(node._id.toString()) || 0,
+            children: addCounts(node.children)
+        }));
+        res.json(addCounts(buildTree(categories)));
+    } catch (err) {
+        console.error('Error fetching admin category tree:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/categories/:idOrSlug
+// @desc    One category with its breadcrumb (ancestors, root first) and direct children
+// @access  Public
+router.get('/:idOrSlug', async (req, res) => {
+    try {
+        const category = await findCategory(req.params.idOrSlug);
+        if (!category || !category.isActive) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+        const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('name slug');
+        const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+        const children = await Category.find({ parent: category._id, isActive: true }).sort({ sortOrder: 1, name: 1 });
+
+        res.json({
+            ...category.toObject(),
+            breadcrumb: category.ancestors.map(id => byId.get(id.toString())).filter(Boolean),
+            children
+        });
+    } catch (err) {
+        console.error('Error fetching category:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// Resolve a parent given as id or slug. Returns { parent } (null for top level) or { error }.
+const resolveParent = async (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { parent: null };
+    }
+    const parent = await findCategory(value);
+    return parent ? { parent } : { error: 'Parent category not found.' };
+};
+
+// @route   POST /api/categories
+// @desc    Create a category. Body: { name, slug?, parent?, description, image, sortOrder, isActive }
+// @access  Private (categories:write)
+router.post('/', protect, requirePermission('categories:write'), async (req, res) => {
+    const { name, slug, parent: parentRef, description, image, sortOrder, isActive } = req.body;
+    if (!name || !String(name).trim()) {
+        return res.status(400).json({ message: 'Category name is required.' });
+    }
+
+    try {
+        const { parent, error } = await resolveParent(parentRef);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const category = await Category.create({
+            name,
+            slug: slug ? slugify(slug) : await availableSlug(name, parent),
+            parent: parent ? parent._id : null,
+            ancestors: parent ? [...parent.ancestors, parent._id] : [],
+            description,
+            image,
+            sortOrder,
+            isActive
+        });
+        res.status(201).json(category);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: validationMessage(err) });
+        }
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A category with this slug already exists.' });
+        }
+        console.error('Error creating category:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category. Changing `parent` moves it (with its whole subtree); renaming updates its products
+// @access  Private (categories:write)
+router.put('/:id', protect, requirePermission('categories:write'), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid category ID.' });
+    }
+
+    try {
+        const category = await Category.findById(req.params.id);
+        if (!category) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+
+        const { name, slug, parent: parentRef, description, image, sortOrder, isActive } = req.body;
+        const renamed = name !== undefined && name !== category.name;
+        let moved = false;
+
+        if (parentRef !== undefined) {
+            const { parent, error } = await resolveParent(parentRef);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+            // A category cannot be moved under itself or one of its own descendants
+            if (parent && (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id)))) {
+                return res.status(400).json({ message: 'A category cannot be moved under itself or one of its subcategories.' });
+            }
+            const newParentId = parent ? parent._id : null;
+            moved = String(newParentId) !== String(category.parent);
+            category.parent = newParentId;
+            category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+        }
+        if (name !== undefined) category.name = name;
+        if (slug !== undefined) category.slug = slugify(slug);
+        if (description !== undefined) category.description = description;
+        if (image !== undefined) category.image = image;
+        if (sortOrder !== undefined) category.sortOrder = sortOrder;
+        if (isActive !== undefined) category.isActive = isActive;
+
+        await mongoose.connection.transaction(async (session) => {
+            await category.save({ session });
+            if (moved) {
+                await updateDescendantAncestors(category, session);
+            }
+            if (renamed) {
+                await syncProductCategoryName(category, session);
+            }
+        });
+        res.json(category);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: validationMessage(err) });
+        }
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A category with this slug already exists.' });
+        }
+        console.error('Error updating category:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category that has no subcategories and no products
+// @access  Private (categories:write)
+router.delete('/:id', protect, requirePermission('categories:write'), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid category ID.' });
+    }
+
+    try {
+        const category = await Category.findById(req.params.id);
+        if (!category) {
+            return res.status(404).json({ message: 'Category not found.' });
+        }
+        if (await Category.exists({ parent: category._id })) {
+            return res.status(400).json({ message: 'Move or delete its subcategories first.' });
+        }
+        if (await Product.exists({ categoryId: category._id })) {
+            return res.status(400).json({ message: 'Move its products to another category first.' });
+        }
+        await category.deleteOne();
+        res.json({ message: 'Category removed' });
+    } catch (err) {
+        console.error('Error deleting category:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+// routes/deliverySlotRoutes.js - Delivery slot availability and admin slot configuration
+const express = require('express');
+const DeliverySlot = require('../models/DeliverySlot');
+const DeliverySlotTemplate = require('../models/DeliverySlotTemplate');
+const DeliveryHoliday = require('../models/DeliveryHoliday');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { MAX_BOOKING_DAYS, formatDate, listAvailableSlots } = require('../utils/deliverySlots');
+
+const router = express.Router();
+
+// Fields admins may set on a slot template
+const TEMPLATE_FIELDS = ['dayOfWeek', 'startTime', 'endTime', 'capacity', 'cutoffMinutes', 'isActive'];
+
+const pickTemplateFields = (body) => {
+    const fields = {};
+    TEMPLATE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+const validationMessage = (error) => Object.values(error.errors).map(val => val.message).join(', ');
+
+// @route   GET /api/delivery-slots?days=N
+// @desc    List delivery slots for the next N days (default 7) with remaining capacity
+// @access  Public
+router.get('/', async (req, res) => {
+    const days = req.query.days === undefined ? 7 : parseInt(req.query.days, 10);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_BOOKING_DAYS) {
+        return res.status(400).json({ message: `days must be between 1 and ${MAX_BOOKING_DAYS}.` });
+    }
+
+    try {
+        const slots = await listAvailableSlots(days);
+        res.json(slots);
+    } catch (err) {
+        console.error('Error fetching delivery slots:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/delivery-slots/templates
+// @desc    List weekly slot templates
+// @access  Private (delivery-slots:manage)
+router.get('/templates', protect, requirePermission('delivery-slots:manage'), async (req, res) => {
+    try {
+        const templates = await DeliverySlotTemplate.find().sort({ dayOfWeek: 1, startTime: 1 });
+        res.json(templates);
+    } catch (err) {
+        console.error('Error fetching slot templates:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   POST /api/delivery-slots/templates
+// @desc    Create a weekly slot template
+// @access  Private (delivery-slots:manage)
+router.post('/templates', protect, requirePermission('delivery-slots:manage'), async (req, res) => {
+    try {
+        const template = await new DeliverySlotTemplate(pickTemplateFields(req.body)).save();
+        res.status(201).json(template);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: validationMessage(err) });
+        }
+        console.error('Error creating slot template:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/delivery-slots/templates/:id
+// @desc    Update a slot template. Capacity changes apply to upcoming booked slots too.
+// @access  Private (delivery-slots:manage)
+router.put('/templates/:id', protect, requirePermission('delivery-slots:manage'), async (req, res) => {
+    try {
+        const template = await DeliverySlotTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Slot template not found' });
+        }
+
+        const fields = pickTemplateFields(req.body);
+        delete fields.dayOfWeek; // Existing bookings are tied to the weekday; create a new template instead
+        template.set(fields);
+        const updatedTemplate = await template.save();
+
+        // Keep slots that already have bookings in step, but never below what is already booked
+        const today = formatDate(new Date());
+        await DeliverySlot.updateMany(
+            { templateId: template._id, date: { $gte: today } },
+            [{ $set: {
+                capacity: { $max: [updatedTemplate.capacity, '$bookedCount', 1] },
+                startTime: updatedTemplate.startTime,
+                endTime: updatedTemplate.endTime
+            } }]
+        );
+
+        res.json(updatedTemplate);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: validationMessage(err) });
+        }
+        console.error('Error updating slot template:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/delivery-slots/templates/:id
+// @desc    Delete a slot template. Orders already booked keep their slot.
+// @access  Private (delivery-slots:manage)
+router.delete('/templates/:id', protect, requirePermission('delivery-slots:manage'), async (req, res) => {
+    try {
+        const template = await DeliverySlotTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ message: 'Slot template not found' });
+        }
+        await template.deleteOne();
+        res.json({ message: 'Slot template removed' });
+    } catch (err) {
+        console.error('Error deleting slot template:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/delivery-slots/holidays
+// @desc    List delivery holidays
+// @access  Private (delivery-slots:manage)
+router.get('/holidays', protect, requirePermission('delivery-slots:manage'), async (req, res) => {
+    try {
+        const holidays = await DeliveryHoliday.find().sort({ date: 1 });
+        res.json(holidays);
+    } catch (err) {
+        console.error('Error fetching delivery holidays:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   POST /api/delivery-slots/holidays
+// @desc    Add a day without deliveries. Existing bookings on that day are not cancelled.
+// @access  Private (delivery-slots:manage)
+router.post('/holidays', protect, requirePermission('delivery-slots:manage'), async (req, res) => {
+    const { date, reason } = req.body;
+
+    try {
+        const holiday = await new DeliveryHoliday({ date, reason }).save();
+        res.status(201).json(holiday);
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: validationMessage(err) });
+        }
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'This date is already a holiday.' });
+        }
+        console.error('Error creating delivery holiday:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/delivery-slots/holidays/:id
+// @desc    Remove a delivery holiday
+// @access  Private (delivery-slots:manage)
+router.delete('/holidays/:id', protect, requirePermission('delivery-slots:manage'), async (req, res) => {
+    try {
+        const holiday = await DeliveryHoliday.findById(req.params.id);
+        if (!holiday) {
+            return res.status(404).json({ message: 'Holiday not found' });
+        }
+        await holiday.deleteOne();
+        res.json({ message: 'Holiday removed' });
+    } catch (err) {
+        console.error('Error deleting delivery holiday:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+module.exports = router;
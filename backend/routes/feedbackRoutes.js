@@ -1,9 +1,22 @@
-// routes/feedbackRoutes.js - General feedback routes (can be extended for global feedback)
+// routes/feedbackRoutes.js - Product reviews: submission, editing, public listing and admin moderation
 const express = require('express');
 const router = express.Router();
 const Feedback = require('../models/Feedback');
 const Product = require('../models/Product'); // To validate product existence
-const { protect, authorize } = require('../middleware/authMiddleware');
+const Order = require('../models/Order'); // To detect verified purchases
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { hasPermission } = require('../utils/permissions');
+
+// Set REVIEWS_REQUIRE_APPROVAL=true to hold new and edited reviews until an admin approves them
+const initialReviewStatus = () => (process.env.REVIEWS_REQUIRE_APPROVAL === 'true' ? 'pending' : 'approved');
+
+// A review is a verified purchase when the user has a delivered order containing the product
+const hasDeliveredPurchase = async (userId, productId) => {
+    const order = await Order.exists({ userId, status: 'delivered', 'items.productId': productId });
+    return Boolean(order);
+};
+
+const isValidRating = (rating) => Number.isInteger(rating) && rating >= 1 && rating <= 5;
 
 // @route   POST /api/feedback
 // @desc    Submit new feedback for a product
@@ -16,8 +29,8 @@ router.post('/', protect, async (req, res) => {
     if (!productId || !rating) {
         return res.status(400).json({ message: 'Product ID and rating are required.' });
     }
-    if (rating < 1 || rating > 5) {
-        return res.status(400).json({ message: 'Rating must be between 1 and 5.' });
+    if (!isValidRating(rating)) {
+        return res.status(400).json({ message: 'Rating must be a whole number between 1 and 5.' });
     }
 
     try {
@@ -30,13 +43,7 @@ router.post('/', protect, async (req, res) => {
         // 2. Check if the user has already submitted feedback for this product
         const existingFeedback = await Feedback.findOne({ productId, userId });
         if (existingFeedback) {
-            // Option 1: Prevent multiple feedback entries (current implementation)
             return res.status(400).json({ message: 'You have already submitted feedback for this product. You can update your existing feedback.' });
-            // Option 2: Allow updating existing feedback (if desired)
-            // existingFeedback.rating = rating;
-            // existingFeedback.comment = comment;
-            // await existingFeedback.save();
-            // return res.status(200).json({ message: 'Feedback updated successfully!', feedback: existingFeedback });
         }
 
         // 3. Create new feedback
@@ -45,9 +52,12 @@ router.post('/', protect, async (req, res) => {
             userId,
             rating,
             comment: comment || '', // Ensure comment is saved as empty string if not provided
+            verifiedPurchase: await hasDeliveredPurchase(userId, productId),
+            status: initialReviewStatus()
         });
 
         const savedFeedback = await newFeedback.save();
+        await Feedback.recalculateProductRating(productId);
 
         res.status(201).json({ message: 'Feedback submitted successfully!', feedback: savedFeedback });
 
@@ -61,14 +71,99 @@ router.post('/', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/feedback/mine
+// @desc    Get all reviews written by the logged-in user (any moderation status)
+// @access  Private (User)
+router.get('/mine', protect, async (req, res) => {
+    try {
+        const feedback = await Feedback.find({ userId: req.user._id })
+            .populate('productId', 'name image')
+            .sort({ createdAt: -1 });
+        res.json(feedback);
+    } catch (error) {
+        console.error('Fetch own feedback error:', error.message);
+        res.status(500).json({ message: 'Server error fetching your feedback.' });
+    }
+});
+
+// @route   PUT /api/feedback/:id
+// @desc    Edit the logged-in user's own review
+// @access  Private (User)
+router.put('/:id', protect, async (req, res) => {
+    const { rating, comment } = req.body;
+
+    if (rating !== undefined && !isValidRating(rating)) {
+        return res.status(400).json({ message: 'Rating must be a whole number between 1 and 5.' });
+    }
+
+    try {
+        const feedback = await Feedback.findById(req.params.id);
+        if (!feedback) {
+            return res.status(404).json({ message: 'Feedback not found.' });
+        }
+        if (feedback.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'You can only edit your own feedback.' });
+        }
+
+        if (rating !== undefined) feedback.rating = rating;
+        if (comment !== undefined) feedback.comment = comment;
+        // Re-check the badge: the order may have been delivered since the review was written
+        feedback.verifiedPurchase = await hasDeliveredPurchase(feedback.userId, feedback.productId);
+        // Edited text goes back through moderation; hidden reviews stay hidden
+        if (feedback.status !== 'hidden') {
+            feedback.status = initialReviewStatus();
+        }
+
+        const updatedFeedback = await feedback.save();
+        await Feedback.recalculateProductRating(feedback.productId);
+
+        res.json({ message: 'Feedback updated successfully!', feedback: updatedFeedback });
+    } catch (error) {
+        console.error('Update feedback error:', error.message);
+        res.status(500).json({ message: 'Server error updating feedback.' });
+    }
+});
+
+// @route   DELETE /api/feedback/:id
+// @desc    Delete a review (its author or staff with reviews:moderate)
+// @access  Private (User/reviews:moderate)
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const feedback = await Feedback.findById(req.params.id);
+        if (!feedback) {
+            return res.status(404).json({ message: 'Feedback not found.' });
+        }
+        if (feedback.userId.toString() !== req.user._id.toString() && !hasPermission(req.user, 'reviews:moderate')) {
+            return res.status(403).json({ message: 'You can only delete your own feedback.' });
+        }
+
+        await feedback.deleteOne();
+        await Feedback.recalculateProductRating(feedback.productId);
 
-// @desc    Get all feedback (Admin only view)
+        res.json({ message: 'Feedback deleted successfully.' });
+    } catch (error) {
+        console.error('Delete feedback error:', error.message);
+        res.status(500).json({ message: 'Server error deleting feedback.' });
+    }
+});
+
+
+// @desc    Get all feedback for moderation, optionally filtered by ?status=pending|approved|hidden
 // @route   GET /api/feedback/admin
-// @access  Private (Admin)
-router.get('/admin', protect, authorize('admin'), async (req, res) => {
+// @access  Private (reviews:moderate)
+router.get('/admin', protect, requirePermission('reviews:moderate'), async (req, res) => {
+    const { status } = req.query;
+    const filter = {};
+    if (status) {
+        if (!['pending', 'approved', 'hidden'].includes(status)) {
+            return res.status(400).json({ message: 'Invalid status filter.' });
+        }
+        filter.status = status;
+    }
+
     try {
         // Populate product and user details for each feedback entry
-        const feedback = await Feedback.find({})
+        const feedback = await Feedback.find(filter)
             .populate('productId', 'name image') // Populate product name and image
             .populate('userId', 'name email')    // Populate user name and email
             .sort({ createdAt: -1 }); // Newest first
@@ -79,15 +174,73 @@ router.get('/admin', protect, authorize('admin'), async (req, res) => {
     }
 });
 
+// Shared handler for the approve/hide moderation actions
+const setReviewStatus = (status) => async (req, res) => {
+    try {
+        const feedback = await Feedback.findById(req.params.id);
+        if (!feedback) {
+            return res.status(404).json({ message: 'Feedback not found.' });
+        }
+
+        feedback.status = status;
+        await feedback.save();
+        await Feedback.recalculateProductRating(feedback.productId);
+
+        res.json({ message: `Feedback ${status}.`, feedback });
+    } catch (error) {
+        console.error(`Set feedback status to ${status} error:`, error.message);
+        res.status(500).json({ message: 'Server error moderating feedback.' });
+    }
+};
+
+// @route   PUT /api/feedback/admin/:id/approve
+// @desc    Approve a review so it is public and counts towards the product rating
+// @access  Private (reviews:moderate)
+router.put('/admin/:id/approve', protect, requirePermission('reviews:moderate'), setReviewStatus('approved'));
+
+// @route   PUT /api/feedback/admin/:id/hide
+// @desc    Hide a review from the storefront and remove it from the product rating
+// @access  Private (reviews:moderate)
+router.put('/admin/:id/hide', protect, requirePermission('reviews:moderate'), setReviewStatus('hidden'));
+
+// @route   PUT /api/feedback/admin/:id/reply
+// @desc    Add or replace the store's public reply to a review (empty text removes it)
+// @access  Private (reviews:moderate)
+router.put('/admin/:id/reply', protect, requirePermission('reviews:moderate'), async (req, res) => {
+    const { text } = req.body;
+
+    if (typeof text !== 'string') {
+        return res.status(400).json({ message: 'Reply text is required.' });
+    }
+
+    try {
+        const feedback = await Feedback.findById(req.params.id);
+        if (!feedback) {
+            return res.status(404).json({ message: 'Feedback not found.' });
+        }
+
+        feedback.adminReply = text.trim()
+            ? { text, repliedBy: req.user._id, repliedAt: new Date() }
+            : undefined;
+        await feedback.save();
+
+        res.json({ message: 'Reply saved.', feedback });
+    } catch (error) {
+        console.error('Reply to feedback error:', error.message);
+        res.status(500).json({ message: 'Server error saving reply.' });
+    }
+});
+
 
-// @desc    Get feedback for a specific product (Publicly viewable reviews)
+// @desc    Get approved feedback for a specific product (Publicly viewable reviews)
 // @route   GET /api/feedback/product/:productId
 // @access  Public
 router.get('/product/:productId', async (req, res) => {
     try {
         const { productId } = req.params;
-        const feedback = await Feedback.find({ productId })
+        const feedback = await Feedback.find({ productId, status: 'approved' })
             .populate('userId', 'name') // Only need user name for product reviews
+            .select('-adminReply.repliedBy') // Don't expose which admin replied
             .sort({ createdAt: -1 }); // Newest first
         res.json(feedback);
     } catch (error) {
@@ -1,86 +1,164 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Order = require('../models/Order'); // Import the Order model
 const User = require('../models/User'); // Import User model to get address and clear cart
-const Product = require('../models/Product'); // Import Product model for stock management
-const { protect, authorize } = require('../middleware/authMiddleware'); // Import middleware
+const Product = require('../models/Product'); // Import Product model to check which items are returnable
+const Feedback = require('../models/Feedback'); // Import Feedback model to flag verified-purchase reviews
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/authMiddleware'); // Import middleware
+const { placeOrder, buildCartPreview, CheckoutError } = require('../utils/checkout'); // Transactional order placement
+const { startPayment, applyPaymentEvent, refundPayment, hasRefund, isPaymentSecured } = require('../services/payments'); // Payment provider layer
+const { cancelOrder, hasPendingCancellationRefund, refundCancelledOrder, RefundError } = require('../utils/orderActions'); // Shared cancellation logic
+const { restockItems } = require('../utils/inventory'); // Restocking for approved returns
+const { resolveShippingAddress } = require('../utils/addressUtils'); // Address book lookup for checkout
+const { toMinor, fromMinor } = require('../utils/pricing'); // Money conversion for refunds
+const { lineKey } = require('../utils/variants'); // Matches order lines by product and variant
+const { hasPermission } = require('../utils/permissions'); // Staff permissions
 
 const router = express.Router();
 
+const PAYMENT_FAILED_MESSAGE = 'The payment could not be started, so the order was cancelled and nothing was charged. Please try again.';
+
+// Start payment for a freshly placed order. If the provider cannot take it the order is cancelled
+// (putting its stock back), so a client that retries does not leave a duplicate order holding stock.
+// Resolves with { payment } or { cancelledOrder }.
+const beginPayment = async (order, userId) => {
+    try {
+        const payment = await startPayment(order);
+        if (order.paymentStatus !== 'failed') {
+            return { payment };
+        }
+    } catch (error) {
+        console.error(`Starting payment for order ${order._id} failed:`, error.message);
+    }
+    const cancelledOrder = await cancelOrder(order, { changedBy: userId, note: 'Payment could not be started' });
+    return { cancelledOrder: cancelledOrder || order };
+};
+
 // @route   POST /api/orders
-// @desc    Place a new order (from user's cart)
+// @desc    Place a new order (from user's cart). If the payment cannot be started the order is cancelled (502)
 // @access  Private (User)
-router.post('/', protect, async (req, res) => {
-    const { paymentMethod, cartItems } = req.body;
+router.post('/', protect, requireVerifiedEmail, async (req, res) => {
+    const { paymentMethod, cartItems, addressId, promoCode, deliverySlot } = req.body; // addressId, promoCode and deliverySlot are optional
     const userId = req.user._id; // User ID from authenticated token (from protect middleware)
 
+    if (!paymentMethod) {
+        return res.status(400).json({ message: 'Payment method is required.' });
+    }
+
     try {
         const user = await User.findById(userId);
         if (!user) {
             return res.status(404).json({ message: 'User not found.' });
         }
 
-        // Use the user's registered address as the shipping address
-        const shippingAddress = user.address; 
-        if (!shippingAddress || shippingAddress === 'N/A') {
-            return res.status(400).json({ message: 'User profile is missing a shipping address. Please update your profile.' });
+        // Ship to the chosen address book entry, the default entry, or the legacy profile address
+        const { shippingAddress, shippingAddressDetails, error: addressError } = resolveShippingAddress(user, addressId);
+        if (addressError) {
+            return res.status(400).json({ message: addressError });
         }
 
-        if (!cartItems || cartItems.length === 0) {
-            return res.status(400).json({ message: 'Cart is empty. Cannot place an empty order.' });
+        // Deduct stock and create the order in one transaction; nothing is saved unless every line succeeds
+        const order = await placeOrder({
+            userId,
+            lines: cartItems || [],
+            paymentMethod,
+            shippingAddress,
+            shippingAddressDetails,
+            promoCode,
+            deliverySlot
+        });
+
+        // Hand the order to its payment provider; COD orders are confirmed right away
+        const { payment, cancelledOrder } = await beginPayment(order, userId);
+        if (cancelledOrder) {
+            return res.status(502).json({ message: PAYMENT_FAILED_MESSAGE, order: cancelledOrder });
         }
 
-        let totalAmount = 0;
-        const orderProducts = [];
+        res.status(201).json({ message: 'Order placed successfully!', order, payment });
 
-        // Validate cart items and calculate total amount, and deduct stock
-        for (const item of cartItems) {
-            const product = await Product.findById(item.productId);
-            if (!product) {
-                // If product not found in DB, return error and don't place order
-                return res.status(404).json({ message: `Product with ID ${item.productId} not found. Could not place order.` });
-            }
-            if (product.stock < item.quantity) {
-                // If insufficient stock, return error
-                return res.status(400).json({ message: `Insufficient stock for ${product.name}. Available: ${product.stock}` });
-            }
+    } catch (error) {
+        if (error instanceof CheckoutError) {
+            return res.status(error.statusCode).json({ message: error.message, errors: error.lineErrors });
+        }
+        console.error('Order placement error:', error.message);
+        res.status(500).json({ message: 'Server error: ' + error.message });
+    }
+});
 
-            // Deduct stock from the product
-            product.stock -= item.quantity;
-            await product.save(); // Save the updated product stock
-
-            // Add product details to the order items
-            orderProducts.push({
-                productId: item.productId,
-                name: product.name, // Use product name from DB for consistency
-                quantity: item.quantity,
-                price: product.price, // Use product price from DB for consistency
-                image: product.image // Use product image from DB for consistency
-            });
-            totalAmount += product.price * item.quantity;
+// Strip the populated user document before sending a preview to the client
+const serializePreview = ({ items, issues, pricing, subtotalAmount, discountAmount, totalAmount, promotion, canCheckout, previewToken }) => ({
+    items, issues, pricing, subtotalAmount, discountAmount, totalAmount, promotion, canCheckout, previewToken
+});
+
+// @route   GET /api/orders/checkout/preview?promoCode=
+// @desc    Preview the order that would be placed from the user's saved cart, repriced from the catalog
+// @access  Private (User)
+router.get('/checkout/preview', protect, async (req, res) => {
+    try {
+        const preview = await buildCartPreview(req.user._id, { promoCode: req.query.promoCode });
+        if (!preview) {
+            return res.status(404).json({ message: 'User not found.' });
         }
+        res.json(serializePreview(preview));
+    } catch (error) {
+        console.error('Checkout preview error:', error.message);
+        res.status(500).json({ message: 'Server error building checkout preview.' });
+    }
+});
 
-        // Create the new order
-        const newOrder = new Order({
-            userId,
-            items: orderProducts,
-            totalAmount: totalAmount.toFixed(2), // Store total with 2 decimal places
-            paymentMethod,
-            shippingAddress, 
-            status: 'pending' // Initial status is pending
-        });
+// @route   POST /api/orders/checkout/confirm
+// @desc    Place the previewed order from the saved cart; fails with 409 if anything changed since the preview.
+//          If the payment cannot be started the order is cancelled (502)
+// @access  Private (User)
+router.post('/checkout/confirm', protect, requireVerifiedEmail, async (req, res) => {
+    const { paymentMethod, previewToken, addressId, promoCode, deliverySlot } = req.body;
 
-        // Save the order to the database
-        const order = await newOrder.save();
+    if (!paymentMethod || !previewToken) {
+        return res.status(400).json({ message: 'Payment method and preview token are required.' });
+    }
 
-        // Clear the user's cart within the User model after successful order creation
-        user.cart = [];
-        await user.save();
+    try {
+        const preview = await buildCartPreview(req.user._id, { promoCode });
+        if (!preview) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
 
-        res.status(201).json({ message: 'Order placed successfully!', order });
+        const { shippingAddress, shippingAddressDetails, error: addressError } = resolveShippingAddress(preview.user, addressId);
+        if (addressError) {
+            return res.status(400).json({ message: addressError });
+        }
+        if (preview.previewToken !== previewToken) {
+            return res.status(409).json({ message: 'Your cart or prices have changed since the preview. Please review the updated order.', preview: serializePreview(preview) });
+        }
+        if (!preview.canCheckout) {
+            return res.status(400).json({ message: 'Order could not be placed. Some items are unavailable.', errors: preview.issues });
+        }
 
+        // Place exactly the previewed lines at the previewed prices
+        const order = await placeOrder({
+            userId: req.user._id,
+            lines: preview.items.map(item => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity, expectedPrice: item.price })),
+            paymentMethod,
+            shippingAddress,
+            shippingAddressDetails,
+            cartUpdatedAt: preview.user.cartUpdatedAt || null,
+            promoCode: preview.promotion && preview.promotion.eligible ? promoCode : undefined,
+            deliverySlot
+        });
+
+        // Hand the order to its payment provider; COD orders are confirmed right away
+        const { payment, cancelledOrder } = await beginPayment(order, req.user._id);
+        if (cancelledOrder) {
+            return res.status(502).json({ message: PAYMENT_FAILED_MESSAGE, order: cancelledOrder });
+        }
+
+        res.status(201).json({ message: 'Order placed successfully!', order, payment });
     } catch (error) {
-        console.error('Order placement error:', error.message);
-        res.status(500).json({ message: 'Server error: ' + error.message });
+        if (error instanceof CheckoutError) {
+            return res.status(error.statusCode).json({ message: error.message, errors: error.lineErrors });
+        }
+        console.error('Checkout confirm error:', error.message);
+        res.status(500).json({ message: 'Server error placing order.' });
     }
 });
 
@@ -99,10 +177,132 @@ router.get('/', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/orders/:id/timeline
+// @desc    Get the status history of one of the user's orders (staff with orders:read can read any order)
+// @access  Private (User/orders:read)
+router.get('/:id/timeline', protect, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id).populate('statusHistory.changedBy', 'name role');
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        if (order.userId.toString() !== req.user._id.toString() && !hasPermission(req.user, 'orders:read')) {
+            return res.status(403).json({ message: 'You can only view your own orders.' });
+        }
+
+        // Orders placed before the timeline existed only know their current status
+        const timeline = order.statusHistory.length > 0
+            ? order.statusHistory
+            : [{ status: order.status, changedAt: order.updatedAt }];
+
+        res.json({ orderId: order._id, status: order.status, timeline });
+    } catch (error) {
+        console.error('Fetch order timeline error:', error.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/orders/:id/cancel
+// @desc    Cancel one of the user's own orders while it is still pending or confirmed (stock is restored).
+//          Calling it again on a cancelled order whose refund failed retries the refund.
+// @access  Private (User)
+router.post('/:id/cancel', protect, async (req, res) => {
+    const { reason } = req.body;
+
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order || order.userId.toString() !== req.user._id.toString()) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        if (hasPendingCancellationRefund(order)) {
+            await refundCancelledOrder(order);
+            return res.json({ message: 'Refund for the cancelled order completed.', order });
+        }
+        if (!['pending', 'confirmed'].includes(order.status)) {
+            return res.status(400).json({ message: `Orders that are ${order.status} can no longer be cancelled.` });
+        }
+
+        const cancelled = await cancelOrder(order, { changedBy: req.user._id, note: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer' });
+        if (!cancelled) {
+            return res.status(409).json({ message: 'The order was updated in the meantime and can no longer be cancelled.' });
+        }
+
+        res.json({ message: 'Order cancelled successfully.', order: cancelled });
+    } catch (error) {
+        if (error instanceof RefundError) {
+            return res.status(502).json({ message: error.message, order: error.order });
+        }
+        console.error('Customer cancel order error:', error.message);
+        res.status(500).json({ message: 'Server error cancelling order.' });
+    }
+});
+
+// @route   POST /api/orders/:id/returns
+// @desc    Request a return for chosen lines and quantities of a delivered order
+// @access  Private (User)
+router.post('/:id/returns', protect, async (req, res) => {
+    const { items, reason } = req.body; // items: [{ productId, variantId, quantity }]
+
+    if (!Array.isArray(items) || items.length === 0 || !reason || !reason.trim()) {
+        return res.status(400).json({ message: 'Items to return and a reason are required.' });
+    }
+
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order || order.userId.toString() !== req.user._id.toString()) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        if (order.status !== 'delivered') {
+            return res.status(400).json({ message: 'Only delivered orders can be returned.' });
+        }
+
+        // Quantities already covered by open or approved return requests
+        const alreadyReturned = {};
+        for (const request of order.returnRequests) {
+            if (request.status === 'rejected') continue;
+            for (const line of request.items) {
+                const key = lineKey(line);
+                alreadyReturned[key] = (alreadyReturned[key] || 0) + line.quantity;
+            }
+        }
+
+        const returnItems = [];
+        const errors = [];
+        for (const item of items) {
+            const key = lineKey(item);
+            const orderLine = order.items.find(line => lineKey(line) === key);
+            const quantity = Number(item.quantity);
+            if (!orderLine) {
+                errors.push({ productId: item.productId, variantId: item.variantId, message: 'Product is not part of this order.' });
+                continue;
+            }
+            const remaining = orderLine.quantity - (alreadyReturned[key] || 0);
+            if (!Number.isInteger(quantity) || quantity <= 0 || quantity > remaining) {
+                errors.push({ productId: item.productId, variantId: item.variantId, message: `Quantity for ${orderLine.name} must be between 1 and ${remaining}.` });
+                continue;
+            }
+            alreadyReturned[key] = (alreadyReturned[key] || 0) + quantity;
+            returnItems.push({ productId: orderLine.productId, variantId: orderLine.variantId, name: orderLine.name, quantity, price: orderLine.price });
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Some return lines are invalid.', errors });
+        }
+
+        order.returnRequests.push({ items: returnItems, reason });
+        await order.save();
+
+        res.status(201).json({ message: 'Return request submitted.', returnRequest: order.returnRequests[order.returnRequests.length - 1] });
+    } catch (error) {
+        console.error('Create return request error:', error.message);
+        res.status(500).json({ message: 'Server error creating return request.' });
+    }
+});
+
 // @route   GET /api/orders/admin
-// @desc    Get all orders (Admin only)
-// @access  Private (Admin)
-router.get('/admin', protect, authorize('admin'), async (req, res) => {
+// @desc    Get all orders
+// @access  Private (orders:read)
+router.get('/admin', protect, requirePermission('orders:read'), async (req, res) => {
     try {
         // Populate userId to get user details in the order response
         const orders = await Order.find().populate('userId', 'name email address phone').sort({ createdAt: -1 });
@@ -113,12 +313,14 @@ router.get('/admin', protect, authorize('admin'), async (req, res) => {
     }
 });
 
-// @route   PUT /api/admin/orders/:id/status
-// @desc    Update order status (Admin only)
-// @access  Private (Admin)
-router.put('/admin/:id/status', protect, authorize('admin'), async (req, res) => {
+// @route   PUT /api/orders/admin/:id/status
+// @desc    Move an order along its lifecycle. Only transitions in Order.STATUS_TRANSITIONS are allowed.
+//          Staff with only orders:deliver (drivers) can only mark orders as delivered.
+//          Setting 'cancelled' again on a cancelled order whose refund failed retries the refund.
+// @access  Private (orders:update-status or orders:deliver)
+router.put('/admin/:id/status', protect, requirePermission('orders:update-status', 'orders:deliver'), async (req, res) => {
     const { id } = req.params;
-    const { status } = req.body; // New status (e.g., 'confirmed', 'shipped', 'delivered')
+    const { status, note } = req.body; // New status (e.g., 'confirmed', 'shipped', 'delivered') and optional timeline note
 
     try {
         const order = await Order.findById(id);
@@ -127,39 +329,217 @@ router.put('/admin/:id/status', protect, authorize('admin'), async (req, res) =>
         }
 
         // Validate new status
-        const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
-        if (!validStatuses.includes(status)) {
+        if (!Object.keys(Order.STATUS_TRANSITIONS).includes(status)) {
             return res.status(400).json({ message: 'Invalid order status provided.' });
         }
+        if (status !== 'delivered' && !hasPermission(req.user, 'orders:update-status')) {
+            return res.status(403).json({ message: 'You can only mark orders as delivered.' });
+        }
+        // Unpaid orders (payment pending or failed) must not be fulfilled
+        if (['confirmed', 'shipped'].includes(status) && !isPaymentSecured(order)) {
+            return res.status(400).json({
+                message: `Cannot mark order as ${status}: payment is ${order.paymentStatus}. Orders are fulfilled once payment is authorized or captured (or for cash on delivery).`,
+                paymentStatus: order.paymentStatus
+            });
+        }
+        if (status === 'cancelled' && hasPendingCancellationRefund(order)) {
+            await refundCancelledOrder(order);
+            return res.json({ message: 'Refund for the cancelled order completed.', order });
+        }
+        if (!order.canTransitionTo(status)) {
+            const allowed = Order.STATUS_TRANSITIONS[order.status];
+            return res.status(400).json({
+                message: `Cannot change order status from ${order.status} to ${status}.`,
+                allowedStatuses: allowed
+            });
+        }
 
-        // Handle stock reversal if order is cancelled
-        if (status === 'cancelled' && order.status !== 'cancelled') {
-            for (const item of order.items) {
-                const product = await Product.findById(item.productId);
-                if (product) {
-                    product.stock += item.quantity; // Add quantity back to stock
-                    await product.save();
-                } else {
-                    console.warn(`Product ${item.productId} not found when cancelling order ${order.id}. Stock not adjusted.`);
-                }
+        if (status === 'cancelled') {
+            // Restock every line and refund any payment taken
+            if (!await cancelOrder(order, { changedBy: req.user._id, note })) {
+                return res.status(409).json({ message: 'The order was updated in the meantime and can no longer be cancelled.' });
+            }
+        } else {
+            order.transitionTo(status, { changedBy: req.user._id, note });
+            // Cash on delivery is collected when the order is handed over
+            if (status === 'delivered' && order.paymentProvider === 'cod') {
+                applyPaymentEvent(order, { type: 'captured' });
             }
-        } else if (order.status === 'cancelled' && status !== 'cancelled') {
-            // Prevent changing status from cancelled unless there's a specific re-stocking logic
-            return res.status(400).json({ message: 'Cannot change status from cancelled to active state without re-stocking logic.' });
+            await order.save();
         }
 
-
-        order.status = status;
-        await order.save();
+        // Reviews written before delivery become verified purchases once the order arrives
+        if (status === 'delivered') {
+            await Feedback.updateMany(
+                { userId: order.userId, productId: { $in: order.items.map(item => item.productId) } },
+                { $set: { verifiedPurchase: true } }
+            );
+        }
 
         // Return the updated order, populated with user details if needed by frontend
         const updatedOrder = await Order.findById(id).populate('userId', 'name email address phone');
         res.json({ message: `Order ${id} status updated to ${status}`, order: updatedOrder });
 
     } catch (error) {
+        if (error instanceof RefundError) {
+            return res.status(502).json({ message: error.message, order: error.order });
+        }
         console.error('Update order status error:', error.message);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
+// @route   GET /api/orders/admin/returns
+// @desc    List orders with return requests, optionally filtered by ?status=requested|approved|rejected
+// @access  Private (returns:manage)
+router.get('/admin/returns', protect, requirePermission('returns:manage'), async (req, res) => {
+    const { status } = req.query;
+    const filter = status ? { 'returnRequests.status': status } : { 'returnRequests.0': { $exists: true } };
+
+    try {
+        const orders = await Order.find(filter)
+            .select('userId items totalAmount refundedAmount status returnRequests createdAt')
+            .populate('userId', 'name email phone')
+            .sort({ updatedAt: -1 });
+        res.json(orders);
+    } catch (error) {
+        console.error('Fetch return requests error:', error.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// What the customer actually paid for `quantity` units of a returned line, in minor units:
+// the discounted price plus tax from the order's pricing breakdown, or the list price for older orders
+const paidValue = (order, returnLine) => {
+    const pricedLine = order.pricing && order.pricing.lines.find(line => lineKey(line) === lineKey(returnLine));
+    if (!pricedLine) {
+        return toMinor(returnLine.price) * returnLine.quantity;
+    }
+    const perUnit = (pricedLine.lineSubtotal - pricedLine.discount + pricedLine.tax) / pricedLine.quantity;
+    return Math.round(perUnit * returnLine.quantity);
+};
+
+// @route   PUT /api/orders/admin/:id/returns/:returnId/approve
+// @desc    Approve a return request: restock returnable items and refund
+//          Body may include refundAmount (defaults to what was paid for the returned lines) and note.
+//          Calling it again for an approved request whose refund failed retries just the refund.
+// @access  Private (returns:manage)
+router.put('/admin/:id/returns/:returnId/approve', protect, requirePermission('returns:manage'), async (req, res) => {
+    const { refundAmount, note } = req.body;
+    const refundKey = `return:${req.params.returnId}`;
+
+    try {
+        let order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        const returnRequest = order.returnRequests.id(req.params.returnId);
+        if (!returnRequest) {
+            return res.status(404).json({ message: 'Return request not found.' });
+        }
+        const refundPending = returnRequest.status === 'approved' && returnRequest.refundAmount > 0 && !hasRefund(order, refundKey);
+        if (returnRequest.status !== 'requested' && !refundPending) {
+            return res.status(400).json({ message: `Return request has already been ${returnRequest.status}.` });
+        }
+        if (refundPending) {
+            await refundPayment(order, returnRequest.refundAmount, { idempotencyKey: refundKey });
+            await order.save();
+            return res.json({ message: 'Refund for the approved return request completed.', order });
+        }
+
+        const returnValue = fromMinor(returnRequest.items.reduce((sum, line) => sum + paidValue(order, line), 0));
+        const amount = refundAmount === undefined ? returnValue : Number(refundAmount);
+        if (!Number.isFinite(amount) || amount < 0 || amount > returnValue) {
+            return res.status(400).json({ message: `Refund amount must be between 0 and ${returnValue}.` });
+        }
+
+        // Only products marked returnable go back on the shelf
+        const products = await Product.find({ _id: { $in: returnRequest.items.map(line => line.productId) } }).select('returnable');
+        const returnable = new Set(products.filter(product => product.returnable).map(product => product._id.toString()));
+
+        // Claim the request (only while it is still 'requested') and restock in one transaction, so
+        // concurrent or repeated approvals cannot restock twice
+        let claimed;
+        await mongoose.connection.transaction(async (session) => {
+            claimed = await Order.findOneAndUpdate(
+                { _id: order._id, returnRequests: { $elemMatch: { _id: returnRequest._id, status: 'requested' } } },
+                {
+                    $set: {
+                        'returnRequests.$.status': 'approved',
+                        'returnRequests.$.resolvedAt': new Date(),
+                        'returnRequests.$.resolvedBy': req.user._id,
+                        'returnRequests.$.adminNote': note,
+                        'returnRequests.$.refundAmount': amount
+                    }
+                },
+                { new: true, session }
+            );
+            if (!claimed) return;
+            await restockItems(returnRequest.items.filter(line => returnable.has(line.productId.toString())), {
+                session,
+                reason: 'return',
+                referenceType: 'return',
+                referenceId: returnRequest._id,
+                orderId: order._id,
+                performedBy: req.user._id
+            });
+        });
+        if (!claimed) {
+            return res.status(409).json({ message: 'Return request has already been resolved.' });
+        }
+
+        // Money moves only once the approval is committed; the key stops a retry refunding twice
+        order = claimed;
+        if (amount > 0) {
+            try {
+                await refundPayment(order, amount, { idempotencyKey: refundKey });
+                await order.save();
+            } catch (error) {
+                console.error(`Refund for return request ${returnRequest._id} failed:`, error.message);
+                return res.status(502).json({
+                    message: 'Return request approved, but the refund failed. Approve it again to retry the refund.',
+                    order
+                });
+            }
+        }
+
+        res.json({ message: 'Return request approved.', order });
+    } catch (error) {
+        console.error('Approve return request error:', error.message);
+        res.status(500).json({ message: 'Server error approving return request.' });
+    }
+});
+
+// @route   PUT /api/orders/admin/:id/returns/:returnId/reject
+// @desc    Reject a return request
+// @access  Private (returns:manage)
+router.put('/admin/:id/returns/:returnId/reject', protect, requirePermission('returns:manage'), async (req, res) => {
+    const { note } = req.body;
+
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        const returnRequest = order.returnRequests.id(req.params.returnId);
+        if (!returnRequest) {
+            return res.status(404).json({ message: 'Return request not found.' });
+        }
+        if (returnRequest.status !== 'requested') {
+            return res.status(400).json({ message: `Return request has already been ${returnRequest.status}.` });
+        }
+
+        returnRequest.status = 'rejected';
+        returnRequest.resolvedAt = new Date();
+        returnRequest.resolvedBy = req.user._id;
+        returnRequest.adminNote = note;
+        await order.save();
+
+        res.json({ message: 'Return request rejected.', order });
+    } catch (error) {
+        console.error('Reject return request error:', error.message);
+        res.status(500).json({ message: 'Server error rejecting return request.' });
+    }
+});
+
 module.exports = router;
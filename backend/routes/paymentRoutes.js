@@ -0,0 +1,53 @@
+// routes/paymentRoutes.js - Payment provider webhooks
+const express = require('express');
+const Order = require('../models/Order');
+const { getProvider, applyPaymentEvent, refundLatePayment } = require('../services/payments');
+
+const router = express.Router();
+
+const WEBHOOK_EVENTS = ['authorized', 'captured', 'failed', 'refunded'];
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Receive a signed payment event (authorized, captured, failed, refunded) from a provider.
+//          Money authorized or captured for an order that was already cancelled is refunded straight away.
+// @access  Public (authenticated by the provider's signature)
+router.post('/webhook/:provider', async (req, res) => {
+    const provider = getProvider(req.params.provider);
+    if (!provider || !provider.supportsWebhooks) {
+        return res.status(404).json({ message: 'Unknown payment provider.' });
+    }
+
+    try {
+        const event = provider.verifyWebhook(req);
+        if (!event) {
+            return res.status(401).json({ message: 'Invalid webhook signature.' });
+        }
+        if (!event.id || !WEBHOOK_EVENTS.includes(event.type) || !event.orderId) {
+            return res.status(400).json({ message: 'Malformed payment event.' });
+        }
+
+        const order = await Order.findById(event.orderId);
+        if (!order || order.paymentProvider !== provider.name) {
+            return res.status(404).json({ message: 'Order not found for this provider.' });
+        }
+
+        const applied = applyPaymentEvent(order, event);
+        if (applied) {
+            await order.save();
+        }
+
+        // The event is saved first so it is on record even if the refund fails; the provider's retry
+        // of this event then only retries the refund
+        if (await refundLatePayment(order, event.id)) {
+            await order.save();
+        }
+
+        // Always acknowledge verified events so the provider stops retrying duplicates
+        res.json({ received: true, applied, paymentStatus: order.paymentStatus, status: order.status });
+    } catch (error) {
+        console.error('Payment webhook error:', error.message);
+        res.status(500).json({ message: 'Server error processing payment event.' });
+    }
+});
+
+module.exports = router;
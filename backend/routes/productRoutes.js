@@ -1,11 +1,24 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer'); // Multipart parsing for image uploads
 const Product = require('../models/Product'); // Import the Product model
-const { protect, authorize } = require('../middleware/authMiddleware'); // Import middleware
+const ProductVariant = require('../models/ProductVariant'); // Pack sizes with their own SKU, price and stock
+const StockMovement = require('../models/StockMovement'); // Stock ledger
+const StockReservation = require('../models/StockReservation'); // Cart stock holds (reservation mode)
+const { recordStockMovements, setStockLevel, reorderThresholdFor, defaultReorderThreshold } = require('../utils/inventory');
+const { syncVariantSummary } = require('../utils/variants');
+const { findCategory, descendantIds } = require('../utils/categories');
+const { escapeRegex } = require('../utils/textUtils');
+const { searchProducts, SORTS } = require('../utils/search');
+const { getSuggestions, logSearchQuery } = require('../utils/suggestions');
+const { ImportError, importProducts, exportProducts } = require('../utils/productImport');
+const { ImageUploadError, maxUploadBytes, storeProductImage, removeImageFiles, syncPrimaryImage } = require('../utils/productImages');
+const { protect, requirePermission, requireStepUp } = require('../middleware/authMiddleware'); // Import middleware
 
 const router = express.Router();
 
 // @route   GET /api/products
-// @desc    Get all products, with optional search, category filter, sorting, and pagination
+// @desc    Get all products, with optional search, category filter (id, slug or name; includes subcategories), sorting, and pagination
 // @access  Public
 router.get('/', async (req, res) => {
     try {
@@ -15,15 +28,22 @@ router.get('/', async (req, res) => {
         // Search functionality
         if (search) {
             // Case-insensitive search on name and description
+            // Escaped so characters like "(" or "+" in user input match literally
             query.$or = [
-                { name: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
+                { name: { $regex: escapeRegex(search), $options: 'i' } },
+                { description: { $regex: escapeRegex(search), $options: 'i' } }
             ];
         }
 
-        // Category filter
+        // Category filter: the category and everything below it
         if (category && category !== 'all') {
-            query.category = { $regex: category, $options: 'i' }; // Case-insensitive category match
+            const match = await findCategory(category);
+            if (match) {
+                query.categoryId = { $in: await descendantIds(match) };
+            } else {
+                // Not in the category tree (e.g. not migrated yet): exact, case-insensitive name match
+                query.category = { $regex: `^${escapeRegex(category)}$`, $options: 'i' };
+            }
         }
 
         // Calculate total products matching the filter for pagination metadata
@@ -48,6 +68,10 @@ router.get('/', async (req, res) => {
 
         const products = await productsQuery;
 
+        if (search && parseInt(page) === 1) {
+            logSearchQuery(search, totalProducts, req.ip); // Not awaited: the log never delays the response
+        }
+
         res.json({
             products,
             totalProducts,
@@ -60,8 +84,252 @@ router.get('/', async (req, res) => {
     }
 });
 
+// @route   GET /api/products/suggest?q=&limit=
+// @desc    Search-as-you-type: product names, categories and popular past searches starting with q
+//          (up to `limit` of each, default 5, max 10). Without q only popular searches are returned.
+// @access  Public
+router.get('/suggest', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 10);
+    try {
+        const suggestions = await getSuggestions(req.query.q, limit);
+        res.json({ query: req.query.q || '', ...suggestions });
+    } catch (err) {
+        console.error('Error fetching search suggestions:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/products/search
+// @desc    Relevance-ranked search with typo tolerance and facet counts.
+//          Query: q, category (id, slug or name; includes subcategories), minPrice, maxPrice, inStock=true,
+//          minRating, sort (relevance|price_asc|price_desc|rating|name|newest), page, limit (max 50)
+// @access  Public
+router.get('/search', async (req, res) => {
+    const { q, category, minPrice, maxPrice, inStock, minRating, sort } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 12, 50);
+
+    const filters = { inStock: inStock === 'true' };
+    for (const [name, value] of [['minPrice', minPrice], ['maxPrice', maxPrice], ['minRating', minRating]]) {
+        if (value === undefined || value === '') continue;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            return res.status(400).json({ message: `${name} must be a non-negative number.` });
+        }
+        filters[name] = number;
+    }
+    if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+        return res.status(400).json({ message: 'minPrice cannot be greater than maxPrice.' });
+    }
+    if (filters.minRating !== undefined && filters.minRating > 5) {
+        return res.status(400).json({ message: 'minRating must be between 0 and 5.' });
+    }
+    if (sort && !SORTS[sort]) {
+        return res.status(400).json({ message: `sort must be one of: ${Object.keys(SORTS).join(', ')}.` });
+    }
+    if (page < 1) {
+        return res.status(400).json({ message: 'page must be 1 or more.' });
+    }
+
+    try {
+        if (category && category !== 'all') {
+            const match = await findCategory(category);
+            if (!match) {
+                return res.status(400).json({ message: 'Unknown category.' });
+            }
+            filters.categoryIds = await descendantIds(match);
+        }
+
+        const { products, total, facets, corrected } = await searchProducts({ q, filters, sort, page, limit });
+        if (q && page === 1) {
+            logSearchQuery(q, total, req.ip); // Not awaited: the log never delays the response
+        }
+        res.json({
+            products,
+            total,
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            query: q || '',
+            correctedQuery: corrected, // Set when typos were corrected ("Showing results for ...")
+            facets
+        });
+    } catch (err) {
+        console.error('Error searching products:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// Validate an optional reorderThreshold from the request body (null clears it back to the default)
+const invalidReorderThreshold = (value) => (
+    value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 0)
+);
+
+// @route   GET /api/products/admin/low-stock
+// @desc    Products (and variants) whose available stock (stock - reserved) is at or below their reorder threshold, lowest first
+// @access  Private (inventory:read)
+router.get('/admin/low-stock', protect, requirePermission('inventory:read'), async (req, res) => {
+    try {
+        const belowThreshold = {
+            $expr: {
+                $lte: [
+                    { $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] },
+                    { $ifNull: ['$reorderThreshold', defaultReorderThreshold()] }
+                ]
+            }
+        };
+        // Products with variants are reported per variant, where their stock actually lives
+        const products = await Product.find({ hasVariants: { $ne: true }, ...belowThreshold })
+            .select('name category stock reservedStock reorderThreshold');
+        const variants = await ProductVariant.find(belowThreshold)
+            .populate('productId', 'name category');
+
+        const row = (unit, product, variant) => ({
+            productId: product._id,
+            variantId: variant ? variant._id : undefined,
+            sku: variant ? variant.sku : undefined,
+            name: variant ? `${product.name} (${variant.name})` : product.name,
+            category: product.category,
+            stock: unit.stock,
+            reservedStock: unit.reservedStock || 0,
+            available: unit.stock - (unit.reservedStock || 0),
+            reorderThreshold: reorderThresholdFor(unit)
+        });
+        const report = [
+            ...products.map(product => row(product, product, null)),
+            ...variants.filter(variant => variant.productId).map(variant => row(variant, variant.productId, variant))
+        ].sort((a, b) => a.available - b.available);
+
+        res.json({ products: report, total: report.length });
+    } catch (err) {
+        console.error('Error building low-stock report:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   POST /api/products/admin/import?dryRun=true
+// @desc    Bulk create/update products from CSV (see utils/productImport for the columns).
+//          Send the file as the text/csv request body (or JSON { csv } for small files).
+//          With dryRun=true nothing is saved and the response shows what would happen.
+// @access  Private (products:import, recent two-factor check)
+router.post('/admin/import', protect, requirePermission('products:import'), requireStepUp, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    if (!csv || !String(csv).trim()) {
+        return res.status(400).json({ message: 'Send the CSV file as a text/csv request body.' });
+    }
+
+    try {
+        const result = await importProducts(csv, { dryRun: req.query.dryRun === 'true', userId: req.user._id });
+        res.json(result);
+    } catch (err) {
+        if (err instanceof ImportError) {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error('Error importing products:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/products/admin/export
+// @desc    Download the catalog as CSV, in the same format the import accepts
+// @access  Private (products:import)
+router.get('/admin/export', protect, requirePermission('products:import'), async (req, res) => {
+    try {
+        const csv = await exportProducts();
+        const date = new Date().toISOString().slice(0, 10);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+        res.send(csv);
+    } catch (err) {
+        console.error('Error exporting products:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/products/:id/stock-movements
+// @desc    Stock ledger for one product, newest first (optional reason filter, paginated)
+// @access  Private (inventory:read)
+router.get('/:id/stock-movements', protect, requirePermission('inventory:read'), async (req, res) => {
+    const { reason, page = 1, limit = 20 } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid product ID.' });
+    }
+
+    try {
+        const product = await Product.findById(req.params.id).select('name stock reorderThreshold');
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const query = { productId: product._id };
+        if (reason) {
+            query.reason = reason;
+        }
+        const total = await StockMovement.countDocuments(query);
+        const movements = await StockMovement.find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .limit(parseInt(limit))
+            .populate('performedBy', 'name email');
+
+        res.json({
+            product: { _id: product._id, name: product.name, stock: product.stock, reorderThreshold: reorderThresholdFor(product) },
+            movements,
+            total,
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit))
+        });
+    } catch (err) {
+        console.error('Error fetching stock movements:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/products/:id/stock
+// @desc    Set the stock level of a product, or of one of its variants with variantId (recorded in the ledger).
+//          Lets inventory staff count stock without being able to edit the rest of the product.
+// @access  Private (inventory:write)
+router.put('/:id/stock', protect, requirePermission('inventory:write'), async (req, res) => {
+    const { stock, variantId, note } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || (variantId && !mongoose.Types.ObjectId.isValid(variantId))) {
+        return res.status(400).json({ message: 'Invalid product or variant ID.' });
+    }
+    if (stock === undefined || stock === null || !Number.isInteger(Number(stock)) || Number(stock) < 0) {
+        return res.status(400).json({ message: 'Stock must be a non-negative whole number.' });
+    }
+
+    try {
+        const product = await Product.findById(req.params.id).select('hasVariants');
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        if (product.hasVariants && !variantId) {
+            return res.status(400).json({ message: 'This product has variants. Specify variantId to set its stock.' });
+        }
+
+        let unit;
+        await mongoose.connection.transaction(async (session) => {
+            unit = await setStockLevel(product._id, Number(stock), {
+                session,
+                variantId: product.hasVariants ? variantId : undefined,
+                reason: 'adjustment',
+                referenceType: 'admin',
+                referenceId: req.user._id,
+                performedBy: req.user._id,
+                note
+            });
+        });
+        if (!unit) {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
+        res.json({ _id: unit._id, productId: product._id, stock: unit.stock, reorderThreshold: reorderThresholdFor(unit) });
+    } catch (err) {
+        console.error('Error setting stock level:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
 // @route   GET /api/products/:id
-// @desc    Get single product by ID
+// @desc    Get single product by ID, with its variants
 // @access  Public
 router.get('/:id', async (req, res) => {
     try {
@@ -69,7 +337,8 @@ router.get('/:id', async (req, res) => {
         if (!product) {
             return res.status(404).json({ message: 'Product not found' });
         }
-        res.json(product);
+        const variants = await ProductVariant.find({ productId: product._id }).sort({ sortOrder: 1, price: 1 });
+        res.json({ ...product.toJSON(), variants });
     } catch (err) {
         console.error('Error fetching product by ID:', err);
         res.status(500).json({ message: 'Server Error' });
@@ -77,10 +346,12 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/products
-// @desc    Add new product (Admin only)
-// @access  Private (Admin)
-router.post('/', protect, authorize('admin'), async (req, res) => {
-    const { name, description, price, image, category, stock, weight, dimensions } = req.body;
+// @desc    Add new product
+// @access  Private (products:write)
+// `category` may be a category id, slug or name; `categoryId` is accepted as well.
+router.post('/', protect, requirePermission('products:write'), async (req, res) => {
+    const { name, sku, description, price, image, stock, weight, dimensions, reorderThreshold } = req.body;
+    const category = req.body.categoryId || req.body.category;
 
     // Basic server-side validation (can be enhanced with Joi/Express-validator)
     if (!name || !description || !price || !category || stock === undefined || stock === null) {
@@ -89,31 +360,58 @@ router.post('/', protect, authorize('admin'), async (req, res) => {
     if (price < 0 || stock < 0) {
         return res.status(400).json({ message: 'Price and stock cannot be negative.' });
     }
+    if (invalidReorderThreshold(reorderThreshold)) {
+        return res.status(400).json({ message: 'Reorder threshold must be a non-negative whole number.' });
+    }
 
     try {
+        const categoryDoc = await findCategory(category);
+        if (!categoryDoc) {
+            return res.status(400).json({ message: 'Unknown category. Create it under /api/categories first.' });
+        }
+
         const newProduct = new Product({
             name,
+            sku: sku || undefined,
             description,
             price,
             image,
-            category,
+            category: categoryDoc.name,
+            categoryId: categoryDoc._id,
             stock,
             weight,
-            dimensions
+            dimensions,
+            reorderThreshold
+        });
+        // The product and its opening stock entry are written together
+        let product;
+        await mongoose.connection.transaction(async (session) => {
+            product = await newProduct.save({ session });
+            await recordStockMovements([{
+                product,
+                delta: product.stock,
+                reason: 'initial',
+                referenceType: 'admin',
+                referenceId: req.user._id,
+                performedBy: req.user._id
+            }], { session });
         });
-        const product = await newProduct.save();
         res.status(201).json(product);
     } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A product with this SKU already exists.' });
+        }
         console.error('Error adding product:', err);
         res.status(500).json({ message: 'Server Error', error: err.message });
     }
 });
 
 // @route   PUT /api/products/:id
-// @desc    Update product by ID (Admin only)
-// @access  Private (Admin)
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
-    const { name, description, price, image, category, stock, weight, dimensions } = req.body;
+// @desc    Update product by ID
+// @access  Private (products:write)
+router.put('/:id', protect, requirePermission('products:write'), async (req, res) => {
+    const { name, sku, description, price, image, stock, weight, dimensions, reorderThreshold, stockNote } = req.body;
+    const category = req.body.categoryId || req.body.category; // Category id, slug or name
 
     // Basic validation
     if (!name || !description || !price || !category || stock === undefined || stock === null) {
@@ -122,40 +420,108 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
     if (price < 0 || stock < 0) {
         return res.status(400).json({ message: 'Price and stock cannot be negative.' });
     }
+    if (invalidReorderThreshold(reorderThreshold)) {
+        return res.status(400).json({ message: 'Reorder threshold must be a non-negative whole number.' });
+    }
 
     try {
-        const product = await Product.findById(req.params.id);
-        if (!product) {
-            return res.status(404).json({ message: 'Product not found' });
+        const categoryDoc = await findCategory(category);
+        if (!categoryDoc) {
+            return res.status(400).json({ message: 'Unknown category. Create it under /api/categories first.' });
         }
 
-        product.name = name;
-        product.description = description;
-        product.price = price;
-        product.image = image || product.image; // Keep existing image if not provided
-        product.category = category;
-        product.stock = stock;
-        product.weight = weight;
-        product.dimensions = dimensions;
+        let updatedProduct;
+        await mongoose.connection.transaction(async (session) => {
+            updatedProduct = null; // Reset state in case the transaction is retried
+            const product = await Product.findById(req.params.id).session(session);
+            if (!product) {
+                return;
+            }
 
-        const updatedProduct = await product.save();
+            // Price and stock of products with variants are managed per variant (see /:id/variants)
+            if (!product.hasVariants) {
+                // Stock is set separately so the ledger records the exact change from the current level
+                const current = await setStockLevel(product._id, Number(stock), {
+                    session,
+                    reason: 'adjustment',
+                    referenceType: 'admin',
+                    referenceId: req.user._id,
+                    performedBy: req.user._id,
+                    note: stockNote
+                });
+                product.stock = current.stock;
+                product.price = price;
+            }
+
+            product.name = name;
+            if (sku !== undefined) {
+                product.sku = sku || undefined; // Empty string removes the SKU
+            }
+            product.description = description;
+            product.image = image || product.image; // Keep existing image if not provided
+            product.category = categoryDoc.name;
+            product.categoryId = categoryDoc._id;
+            product.weight = weight;
+            product.dimensions = dimensions;
+            if (reorderThreshold !== undefined) {
+                product.reorderThreshold = reorderThreshold;
+            }
+            updatedProduct = await product.save({ session });
+        });
+        if (!updatedProduct) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
         res.json(updatedProduct);
     } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A product with this SKU already exists.' });
+        }
         console.error('Error updating product:', err);
         res.status(500).json({ message: 'Server Error', error: err.message });
     }
 });
 
 // @route   DELETE /api/products/:id
-// @desc    Delete product by ID (Admin only)
-// @access  Private (Admin)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @desc    Delete product by ID, with its variants; their remaining stock is written off in the ledger.
+//          Refused while customers hold the product (or any of its variants) in their carts
+// @access  Private (products:delete, recent two-factor check)
+router.delete('/:id', protect, requirePermission('products:delete'), requireStepUp, async (req, res) => {
+    const ledger = { referenceType: 'admin', referenceId: req.user._id, performedBy: req.user._id, reason: 'removal', note: 'Product deleted' };
+
     try {
-        const product = await Product.findById(req.params.id);
+        let product;
+        let held;
+        await mongoose.connection.transaction(async (session) => {
+            held = false; // Reset state in case the transaction is retried
+            product = await Product.findById(req.params.id).session(session);
+            if (!product) return;
+            if (await StockReservation.exists({ productId: product._id, expiresAt: { $gt: new Date() } }).session(session)) {
+                held = true;
+                return;
+            }
+
+            // Stock lives on the variants when the product has them, otherwise on the product itself
+            const variants = await ProductVariant.find({ productId: product._id }).session(session);
+            const removals = product.hasVariants
+                ? variants.filter(variant => variant.stock !== 0)
+                    .map(variant => ({ ...ledger, delta: -variant.stock, variant: variant.set('stock', 0) }))
+                : (product.stock !== 0 ? [{ ...ledger, delta: -product.stock, product: product.set('stock', 0) }] : []);
+
+            // Expired holds the sweep has not reached yet go with the product
+            await StockReservation.deleteMany({ productId: product._id }, { session });
+            await Product.deleteOne({ _id: product._id }, { session });
+            await ProductVariant.deleteMany({ productId: product._id }, { session });
+            await recordStockMovements(removals, { session, lowStockAlerts: false });
+        });
         if (!product) {
             return res.status(404).json({ message: 'Product not found' });
         }
-        await product.deleteOne(); // Use deleteOne() on the document instance
+        if (held) {
+            return res.status(409).json({ message: 'Customers are holding this product in their carts. Try again once the holds expire.' });
+        }
+        for (const image of product.images) {
+            await removeImageFiles(image);
+        }
         res.json({ message: 'Product removed' });
     } catch (err) {
         console.error('Error deleting product:', err);
@@ -163,4 +529,290 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
     }
 });
 
+// Check the fields of a variant create/update request. Returns an error message or null.
+const validateVariantFields = ({ sku, name, price, stock, weight, reorderThreshold }) => {
+    if (!sku || !name || price === undefined || price === null || stock === undefined || stock === null) {
+        return 'Please provide sku, name, price and stock for the variant.';
+    }
+    if (!Number.isFinite(Number(price)) || Number(price) < 0) {
+        return 'Variant price cannot be negative.';
+    }
+    if (!Number.isInteger(Number(stock)) || Number(stock) < 0) {
+        return 'Variant stock must be a non-negative whole number.';
+    }
+    if (weight !== undefined && weight !== null && (!Number.isFinite(Number(weight)) || Number(weight) < 0)) {
+        return 'Variant weight cannot be negative.';
+    }
+    if (invalidReorderThreshold(reorderThreshold)) {
+        return 'Reorder threshold must be a non-negative whole number.';
+    }
+    return null;
+};
+
+// @route   POST /api/products/:id/variants
+// @desc    Add a variant (pack size) to a product. Body: { sku, name, price, stock, weight, image, reorderThreshold, sortOrder }
+// @access  Private (products:write)
+router.post('/:id/variants', protect, requirePermission('products:write'), async (req, res) => {
+    const { sku, name, price, stock, weight, image, reorderThreshold, sortOrder } = req.body;
+    const validationError = validateVariantFields(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        // Holds on the product itself would be stranded once lines must name a variant
+        if (!product.hasVariants && await StockReservation.exists({ productId: product._id, variantId: null, expiresAt: { $gt: new Date() } })) {
+            return res.status(409).json({ message: 'Customers are holding this product in their carts. Try again once the holds expire.' });
+        }
+
+        // The variant, its opening stock entry and the product's price range and total stock change together
+        const ledger = { referenceType: 'admin', referenceId: req.user._id, performedBy: req.user._id };
+        let variant;
+        await mongoose.connection.transaction(async (session) => {
+            [variant] = await ProductVariant.create([{
+                productId: product._id,
+                sku,
+                name,
+                price,
+                stock,
+                weight,
+                image,
+                reorderThreshold,
+                sortOrder
+            }], { session });
+            await recordStockMovements([{ ...ledger, variant, delta: variant.stock, reason: 'initial' }], { session });
+            await syncVariantSummary(product._id, session, ledger);
+        });
+        res.status(201).json(variant);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A variant with this SKU already exists.' });
+        }
+        console.error('Error adding product variant:', err);
+        res.status(500).json({ message: 'Server Error', error: err.message });
+    }
+});
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a variant. Stock changes are recorded in the stock ledger (optional stockNote)
+// @access  Private (products:write)
+router.put('/:id/variants/:variantId', protect, requirePermission('products:write'), async (req, res) => {
+    const { sku, name, price, stock, weight, image, reorderThreshold, sortOrder, stockNote } = req.body;
+    const validationError = validateVariantFields(req.body);
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        let updatedVariant;
+        await mongoose.connection.transaction(async (session) => {
+            updatedVariant = null; // Reset state in case the transaction is retried
+            const current = await setStockLevel(req.params.id, Number(stock), {
+                session,
+                variantId: req.params.variantId,
+                reason: 'adjustment',
+                referenceType: 'admin',
+                referenceId: req.user._id,
+                performedBy: req.user._id,
+                note: stockNote
+            });
+            if (!current) {
+                return;
+            }
+
+            current.sku = sku;
+            current.name = name;
+            current.price = price;
+            if (weight !== undefined) current.weight = weight;
+            if (image !== undefined) current.image = image;
+            if (reorderThreshold !== undefined) current.reorderThreshold = reorderThreshold;
+            if (sortOrder !== undefined) current.sortOrder = sortOrder;
+            updatedVariant = await current.save({ session });
+            await syncVariantSummary(current.productId, session, {
+                referenceType: 'admin',
+                referenceId: req.user._id,
+                performedBy: req.user._id
+            });
+        });
+        if (!updatedVariant) {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
+        res.json(updatedVariant);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A variant with this SKU already exists.' });
+        }
+        console.error('Error updating product variant:', err);
+        res.status(500).json({ message: 'Server Error', error: err.message });
+    }
+});
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Remove a variant; its remaining stock is written off in the ledger. Refused while customers hold it
+//          in their carts. Carts still holding it report the line as unavailable at checkout
+// @access  Private (products:write)
+router.delete('/:id/variants/:variantId', protect, requirePermission('products:write'), async (req, res) => {
+    const ledger = { referenceType: 'admin', referenceId: req.user._id, performedBy: req.user._id };
+
+    try {
+        let outcome;
+        await mongoose.connection.transaction(async (session) => {
+            outcome = 'not_found'; // Reset state in case the transaction is retried
+            const variant = await ProductVariant.findOne({ _id: req.params.variantId, productId: req.params.id }).session(session);
+            if (!variant) return;
+            if (await StockReservation.exists({ variantId: variant._id, expiresAt: { $gt: new Date() } }).session(session)) {
+                outcome = 'held';
+                return;
+            }
+
+            // Expired holds the sweep has not reached yet go with the variant (its reservedStock is deleted too)
+            await StockReservation.deleteMany({ variantId: variant._id }, { session });
+            await ProductVariant.deleteOne({ _id: variant._id }, { session });
+            if (variant.stock !== 0) {
+                const delta = -variant.stock;
+                await recordStockMovements([{
+                    ...ledger,
+                    variant: variant.set('stock', 0),
+                    delta,
+                    reason: 'removal',
+                    note: 'Variant deleted'
+                }], { session, lowStockAlerts: false });
+            }
+            await syncVariantSummary(variant.productId, session, ledger);
+            outcome = 'removed';
+        });
+        if (outcome === 'not_found') {
+            return res.status(404).json({ message: 'Variant not found' });
+        }
+        if (outcome === 'held') {
+            return res.status(409).json({ message: 'Customers are holding this variant in their carts. Try again once the holds expire.' });
+        }
+        res.json({ message: 'Variant removed' });
+    } catch (err) {
+        console.error('Error deleting product variant:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Parse a multipart upload of up to MAX_IMAGES_PER_UPLOAD files in the `images` field, kept in memory
+// so they can be validated and resized before anything is stored. Upload errors become 400 responses.
+const uploadImages = (req, res, next) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxUploadBytes(), files: MAX_IMAGES_PER_UPLOAD }
+    }).array('images', MAX_IMAGES_PER_UPLOAD);
+
+    upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `Each image must be at most ${Math.round(maxUploadBytes() / (1024 * 1024))} MB.`
+                : `Upload error: ${err.message}`;
+            return res.status(400).json({ message });
+        }
+        if (err) {
+            return next(err);
+        }
+        next();
+    });
+};
+
+// @route   POST /api/products/:id/images
+// @desc    Upload images (multipart field "images", JPEG/PNG/WebP) and append them to the gallery.
+//          Optional `alt` field is applied to every uploaded image. Thumbnails are generated for each.
+// @access  Private (products:write)
+router.post('/:id/images', protect, requirePermission('products:write'), uploadImages, async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: 'Attach at least one image in the "images" field.' });
+    }
+
+    const stored = [];
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        for (const file of req.files) {
+            stored.push(await storeProductImage(product._id, file, { alt: req.body.alt }));
+        }
+        product.images.push(...stored);
+        syncPrimaryImage(product);
+        await product.save();
+        res.status(201).json({ image: product.image, images: product.images });
+    } catch (err) {
+        // Nothing was saved on the product, so drop the files stored for this request
+        for (const image of stored) {
+            await removeImageFiles(image);
+        }
+        if (err instanceof ImageUploadError) {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error('Error uploading product images:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/products/:id/images/order
+// @desc    Reorder the gallery. Body: { imageIds: [...] } listing every image id in the new order
+// @access  Private (products:write)
+router.put('/:id/images/order', protect, requirePermission('products:write'), async (req, res) => {
+    const { imageIds } = req.body;
+    if (!Array.isArray(imageIds)) {
+        return res.status(400).json({ message: 'imageIds must be an array of image IDs.' });
+    }
+
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const current = new Map(product.images.map(image => [image._id.toString(), image]));
+        const requested = imageIds.map(String);
+        if (requested.length !== current.size || new Set(requested).size !== requested.length || !requested.every(id => current.has(id))) {
+            return res.status(400).json({ message: 'imageIds must list every image of the product exactly once.' });
+        }
+
+        product.images = requested.map(id => current.get(id));
+        syncPrimaryImage(product);
+        await product.save();
+        res.json({ image: product.image, images: product.images });
+    } catch (err) {
+        console.error('Error reordering product images:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/products/:id/images/:imageId
+// @desc    Remove an image from the gallery and delete its files (original and thumbnails)
+// @access  Private (products:write)
+router.delete('/:id/images/:imageId', protect, requirePermission('products:write'), async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        const image = product.images.id(req.params.imageId);
+        if (!image) {
+            return res.status(404).json({ message: 'Image not found' });
+        }
+
+        product.images.pull(image._id);
+        syncPrimaryImage(product);
+        await product.save();
+        await removeImageFiles(image); // Only once the product no longer references the files
+
+        res.json({ message: 'Image removed', image: product.image, images: product.images });
+    } catch (err) {
+        console.error('Error deleting product image:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
 module.exports = router;
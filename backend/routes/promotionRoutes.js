@@ -0,0 +1,151 @@
+// routes/promotionRoutes.js - Promotion codes: admin management and applying a code to the cart
+const express = require('express');
+const Promotion = require('../models/Promotion');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { buildCartPreview } = require('../utils/checkout');
+
+const router = express.Router();
+
+// Fields admins may set on a promotion
+const PROMOTION_FIELDS = [
+    'code', 'description', 'type', 'value', 'maxDiscount', 'buyQuantity', 'getQuantity', 'minSpend',
+    'productIds', 'categories', 'startsAt', 'endsAt', 'usageLimit', 'perUserLimit', 'firstOrderOnly', 'isActive'
+];
+
+const pickPromotionFields = (body) => {
+    const fields = {};
+    PROMOTION_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+// Shared error handling for create/update
+const handlePromotionSaveError = (error, res, action) => {
+    console.error(`Error ${action} promotion:`, error);
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (error.code === 11000) {
+        return res.status(400).json({ message: 'A promotion with this code already exists.' });
+    }
+    res.status(500).json({ message: 'Server Error' });
+};
+
+// @route   POST /api/promotions/apply
+// @desc    Apply a promotion code to the user's saved cart and return the discount breakdown
+// @access  Private
+router.post('/apply', protect, async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ message: 'Promotion code is required.' });
+    }
+
+    try {
+        const preview = await buildCartPreview(req.user._id, { promoCode: code });
+        if (!preview) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        if (preview.items.length === 0) {
+            return res.status(400).json({ message: 'Your cart is empty.' });
+        }
+        if (!preview.promotion.eligible) {
+            return res.status(400).json({ message: preview.promotion.message });
+        }
+
+        res.json({
+            promotion: preview.promotion,
+            pricing: preview.pricing,
+            subtotalAmount: preview.subtotalAmount,
+            discountAmount: preview.discountAmount,
+            totalAmount: preview.totalAmount
+        });
+    } catch (err) {
+        console.error('Error applying promotion:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/promotions
+// @desc    List all promotions
+// @access  Private (promotions:manage)
+router.get('/', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const promotions = await Promotion.find().sort({ createdAt: -1 });
+        res.json(promotions);
+    } catch (err) {
+        console.error('Error fetching promotions:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/promotions/:id
+// @desc    Get a single promotion
+// @access  Private (promotions:manage)
+router.get('/:id', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+        if (!promotion) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+        res.json(promotion);
+    } catch (err) {
+        console.error('Error fetching promotion:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   POST /api/promotions
+// @desc    Create a promotion
+// @access  Private (promotions:manage)
+router.post('/', protect, requirePermission('promotions:manage'), async (req, res) => {
+    if (!req.body.code || !req.body.type) {
+        return res.status(400).json({ message: 'Promotion code and type are required.' });
+    }
+
+    try {
+        const promotion = await new Promotion(pickPromotionFields(req.body)).save();
+        res.status(201).json(promotion);
+    } catch (err) {
+        handlePromotionSaveError(err, res, 'creating');
+    }
+});
+
+// @route   PUT /api/promotions/:id
+// @desc    Update a promotion. Usage counts cannot be edited.
+// @access  Private (promotions:manage)
+router.put('/:id', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+        if (!promotion) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+
+        promotion.set(pickPromotionFields(req.body));
+        const updatedPromotion = await promotion.save();
+        res.json(updatedPromotion);
+    } catch (err) {
+        handlePromotionSaveError(err, res, 'updating');
+    }
+});
+
+// @route   DELETE /api/promotions/:id
+// @desc    Delete a promotion. Orders keep their snapshot of the redeemed promotion.
+// @access  Private (promotions:manage)
+router.delete('/:id', protect, requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+        if (!promotion) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+        await promotion.deleteOne();
+        res.json({ message: 'Promotion removed' });
+    } catch (err) {
+        console.error('Error deleting promotion:', err);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,14 @@
 // routes/wishlistRoutes.js - Wishlist management routes
 const express = require('express');
+const crypto = require('crypto'); // For generating share link tokens
+const mongoose = require('mongoose'); // For ObjectId validation in bulk operations
 const router = express.Router();
 const Wishlist = require('../models/Wishlist'); // Wishlist model
 const Product = require('../models/Product'); // Product model to validate productId
+const User = require('../models/User'); // User model, the cart is embedded on it
 const { protect } = require('../middleware/authMiddleware'); // Auth middleware
+const { addItemToCart } = require('../utils/cartUtils'); // Shared cart stock rules
+const { resolveVariant } = require('../utils/variants'); // Variant lookup for products with pack sizes
 
 // @desc    Get user's wishlist
 // @route   GET /api/wishlist
@@ -63,6 +68,161 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
+// @desc    Add several products to the wishlist at once
+// @route   POST /api/wishlist/bulk
+// @access  Private
+router.post('/bulk', protect, async (req, res) => {
+  const { productIds } = req.body;
+  const userId = req.user._id;
+
+  if (!Array.isArray(productIds) || productIds.length === 0) {
+    return res.status(400).json({ message: 'A non-empty productIds array is required.' });
+  }
+
+  try {
+    const validIds = productIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const products = await Product.find({ _id: { $in: validIds } }).select('_id');
+    const existingIds = new Set(products.map(p => p._id.toString()));
+
+    let wishlist = await Wishlist.findOne({ userId });
+    if (!wishlist) {
+      wishlist = new Wishlist({ userId, items: [] });
+    }
+    const savedIds = new Set(wishlist.items.map(item => item.productId.toString()));
+
+    const added = [];
+    const skipped = [];
+    for (const productId of productIds) {
+      const id = String(productId);
+      if (!existingIds.has(id)) {
+        skipped.push({ productId: id, reason: 'Product not found.' });
+      } else if (savedIds.has(id)) {
+        skipped.push({ productId: id, reason: 'Product already in wishlist.' });
+      } else {
+        wishlist.items.push({ productId: id });
+        savedIds.add(id); // Also guards against duplicates within the request
+        added.push(id);
+      }
+    }
+
+    await wishlist.save();
+
+    const updatedWishlist = await Wishlist.findOne({ userId }).populate('items.productId');
+    res.status(200).json({ added, skipped, wishlist: updatedWishlist });
+  } catch (error) {
+    console.error('Bulk add to wishlist error:', error.message);
+    res.status(500).json({ message: 'Server error adding to wishlist.' });
+  }
+});
+
+// @desc    Remove several products from the wishlist at once
+// @route   DELETE /api/wishlist/bulk
+// @access  Private
+router.delete('/bulk', protect, async (req, res) => {
+  const { productIds } = req.body;
+  const userId = req.user._id;
+
+  if (!Array.isArray(productIds) || productIds.length === 0) {
+    return res.status(400).json({ message: 'A non-empty productIds array is required.' });
+  }
+
+  try {
+    const wishlist = await Wishlist.findOne({ userId });
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found for this user.' });
+    }
+
+    const toRemove = new Set(productIds.map(String));
+    const removed = [];
+    wishlist.items = wishlist.items.filter(item => {
+      const id = item.productId.toString();
+      if (toRemove.has(id)) {
+        removed.push(id);
+        return false;
+      }
+      return true;
+    });
+    const notFound = [...toRemove].filter(id => !removed.includes(id));
+
+    await wishlist.save();
+
+    const updatedWishlist = await Wishlist.findOne({ userId }).populate('items.productId');
+    res.json({ removed, notFound, wishlist: updatedWishlist });
+  } catch (error) {
+    console.error('Bulk remove wishlist items error:', error.message);
+    res.status(500).json({ message: 'Server error removing wishlist items.' });
+  }
+});
+
+// @desc    Enable sharing and get the read-only share token for the user's wishlist
+// @route   POST /api/wishlist/share
+// @access  Private
+router.post('/share', protect, async (req, res) => {
+  const userId = req.user._id;
+
+  try {
+    let wishlist = await Wishlist.findOne({ userId });
+    if (!wishlist) {
+      wishlist = new Wishlist({ userId, items: [] });
+    }
+
+    // Reuse the existing token so links that were already sent keep working
+    if (!wishlist.shareToken) {
+      wishlist.shareToken = crypto.randomBytes(16).toString('hex');
+      await wishlist.save();
+    }
+
+    res.json({ shareToken: wishlist.shareToken, sharePath: `/api/wishlist/shared/${wishlist.shareToken}` });
+  } catch (error) {
+    console.error('Share wishlist error:', error.message);
+    res.status(500).json({ message: 'Server error sharing wishlist.' });
+  }
+});
+
+// @desc    Disable sharing; the previous share link stops working
+// @route   DELETE /api/wishlist/share
+// @access  Private
+router.delete('/share', protect, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ userId: req.user._id });
+    if (!wishlist || !wishlist.shareToken) {
+      return res.status(404).json({ message: 'Wishlist is not shared.' });
+    }
+
+    wishlist.shareToken = undefined;
+    await wishlist.save();
+
+    res.json({ message: 'Wishlist sharing disabled.' });
+  } catch (error) {
+    console.error('Unshare wishlist error:', error.message);
+    res.status(500).json({ message: 'Server error disabling wishlist sharing.' });
+  }
+});
+
+// @desc    View a shared wishlist (read-only)
+// @route   GET /api/wishlist/shared/:token
+// @access  Public
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ shareToken: req.params.token })
+      .populate('userId', 'name') // Only expose the owner's name
+      .populate('items.productId', 'name price image category stock');
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Shared wishlist not found.' });
+    }
+
+    res.json({
+      owner: wishlist.userId ? wishlist.userId.name : null,
+      items: wishlist.items.filter(item => item.productId), // Hide products that have since been deleted
+      updatedAt: wishlist.updatedAt
+    });
+  } catch (error) {
+    console.error('Fetch shared wishlist error:', error.message);
+    res.status(500).json({ message: 'Server error fetching shared wishlist.' });
+  }
+});
+
 // @desc    Remove item from wishlist
 // @route   DELETE /api/wishlist/:productId
 // @access  Private
@@ -94,4 +254,64 @@ router.delete('/:productId', protect, async (req, res) => {
   }
 });
 
+// @desc    Move a wishlist item into the cart
+// @route   POST /api/wishlist/:productId/move-to-cart
+// @access  Private
+router.post('/:productId/move-to-cart', protect, async (req, res) => {
+  const { productId } = req.params;
+  const quantity = req.body.quantity === undefined ? 1 : req.body.quantity;
+  const userId = req.user._id;
+
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({ message: 'Quantity must be a positive integer.' });
+  }
+
+  try {
+    const wishlist = await Wishlist.findOne({ userId });
+    if (!wishlist || !wishlist.items.some(item => item.productId.toString() === productId)) {
+      return res.status(404).json({ message: 'Item not found in wishlist.' });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found.' });
+    }
+
+    // Products with variants need the chosen option (body variantId)
+    const { variant, error: variantError } = await resolveVariant(product, req.body.variantId);
+    if (variantError) {
+      return res.status(400).json({ message: variantError });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+
+    // Same stock rule as POST /api/cart; the item stays in the wishlist if it cannot be added
+    const stockError = await addItemToCart(user, product, quantity, variant);
+    if (stockError) {
+      return res.status(400).json({ message: stockError });
+    }
+
+    await user.save();
+
+    wishlist.items = wishlist.items.filter(item => item.productId.toString() !== productId);
+    await wishlist.save();
+
+    const updatedUser = await User.findById(userId).populate({
+      path: 'cart.productId',
+      model: 'Product'
+    }).populate({
+      path: 'cart.variantId',
+      model: 'ProductVariant'
+    });
+    const updatedWishlist = await Wishlist.findOne({ userId }).populate('items.productId');
+    res.json({ message: 'Item moved to cart.', cart: { items: updatedUser.cart }, wishlist: updatedWishlist });
+  } catch (error) {
+    console.error('Move wishlist item to cart error:', error.message);
+    res.status(500).json({ message: 'Server error moving item to cart.' });
+  }
+});
+
 module.exports = router;
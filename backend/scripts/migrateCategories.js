@@ -0,0 +1,42 @@
+// scripts/migrateCategories.js - Link products that only have a free-text category to the category tree
+//
+// Usage: npm run migrate:categories
+//
+// Every distinct Product.category string without a categoryId becomes a Category (created once and
+// reused). A string like "Fresh Produce > Fruit" creates the nested path. Safe to run more than once:
+// products that already have a categoryId are left alone.
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const Product = require('../models/Product');
+const { ensureCategoryPath } = require('../utils/categories');
+
+dotenv.config();
+
+const migrate = async () => {
+    await connectDB();
+
+    const names = await Product.distinct('category', { categoryId: { $exists: false } });
+    let linked = 0;
+    for (const name of names) {
+        const path = String(name).split('>').map(part => part.trim()).filter(Boolean);
+        if (path.length === 0) continue;
+
+        const category = await ensureCategoryPath(path);
+        const result = await Product.updateMany(
+            { category: name, categoryId: { $exists: false } },
+            { $set: { categoryId: category._id, category: category.name } }
+        );
+        linked += result.modifiedCount;
+        console.log(`"${name}" -> ${category.slug} (${result.modifiedCount} products)`);
+    }
+
+    console.log(`Category migration complete: ${names.length} categories, ${linked} products linked.`);
+};
+
+migrate()
+    .catch(error => {
+        console.error('Category migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
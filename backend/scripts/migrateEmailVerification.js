@@ -0,0 +1,31 @@
+// scripts/migrateEmailVerification.js - Mark accounts created before email verification existed as verified
+//
+// Usage: npm run migrate:email-verification
+//
+// Without this, existing customers would count as unverified: they could be refused at checkout
+// (REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT) and, without orders, purged as stale sign-ups. Safe to run
+// more than once: only users with no emailVerified field are touched.
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const User = require('../models/User');
+
+dotenv.config();
+
+const migrate = async () => {
+    await connectDB();
+
+    const result = await User.updateMany(
+        { emailVerified: { $exists: false } },
+        [{ $set: { emailVerified: true, emailVerifiedAt: '$createdAt' } }]
+    );
+
+    console.log(`Email verification migration complete: ${result.modifiedCount} existing users marked verified.`);
+};
+
+migrate()
+    .catch(error => {
+        console.error('Email verification migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
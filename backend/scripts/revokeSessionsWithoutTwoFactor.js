@@ -0,0 +1,43 @@
+// scripts/revokeSessionsWithoutTwoFactor.js - End the sessions of two-factor roles that skipped the second factor
+//
+// Usage: npm run migrate:two-factor-sessions
+//
+// Run once when mandatory two-factor is deployed (or TWO_FACTOR_REQUIRED_ROLES gains a role), so that
+// sessions started with only a password end straight away instead of on their next request.
+// Sessions that already passed two-factor are kept (the same check as `protect`, see
+// sessionSatisfiesTwoFactor), so it is safe to run more than once.
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { requiredRoles, sessionSatisfiesTwoFactor } = require('../utils/twoFactor');
+
+dotenv.config();
+
+const migrate = async () => {
+    await connectDB();
+
+    const roles = requiredRoles();
+    const users = await User.find({ role: { $in: roles } }).select('role twoFactor.enabled');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const sessions = await Session.find({ userId: { $in: users.map(user => user._id) }, revokedAt: null })
+        .select('userId twoFactorVerifiedAt');
+    const sessionIds = sessions
+        .filter(session => !sessionSatisfiesTwoFactor(usersById.get(session.userId.toString()), session))
+        .map(session => session._id);
+
+    const result = await Session.updateMany(
+        { _id: { $in: sessionIds }, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'two_factor_required' } }
+    );
+
+    console.log(`Two-factor session migration complete: ${result.modifiedCount} of ${sessions.length} sessions of ${users.length} ${roles.join('/')} accounts revoked.`);
+};
+
+migrate()
+    .catch(error => {
+        console.error('Two-factor session migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -6,17 +6,40 @@ const authRoutes = require('./routes/authRoutes'); // Import auth routes
 const productRoutes = require('./routes/productRoutes'); // Import product routes
 const orderRoutes = require('./routes/orderRoutes'); // Import order routes
 const cartRoutes = require('./routes/cartRoutes'); // Import cart routes
+const wishlistRoutes = require('./routes/wishlistRoutes'); // Import wishlist routes
+const feedbackRoutes = require('./routes/feedbackRoutes'); // Import feedback (review) routes
+const paymentRoutes = require('./routes/paymentRoutes'); // Import payment webhook routes
+const promotionRoutes = require('./routes/promotionRoutes'); // Import promotion routes
+const deliverySlotRoutes = require('./routes/deliverySlotRoutes'); // Import delivery slot routes
+const categoryRoutes = require('./routes/categoryRoutes'); // Import category routes
+const { isReservationMode, releaseExpiredReservations } = require('./utils/reservations'); // Cart stock holds
+const { getStorage } = require('./services/storage'); // Uploaded file storage
+const { getTransport } = require('./services/mail'); // Outgoing email
+const { purgeUnverifiedAccounts } = require('./utils/emailVerification'); // Stale sign-up cleanup
 
 
 dotenv.config(); // Load environment variables from .env file
 
 connectDB(); // Connect to MongoDB
 
+getTransport(); // Fail at startup rather than on the first email if the mail transport is missing or unknown
+
 const app = express();
 
 // Middleware
 app.use(cors()); // Enable CORS for all routes
-app.use(express.json()); // Body parser for JSON data
+app.use(express.json({
+    // Keep the raw body so payment webhooks can verify their signatures
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+})); // Body parser for JSON data
+
+// Serve uploaded files when the storage driver keeps them on this server
+const { staticRoute } = getStorage();
+if (staticRoute) {
+    app.use(staticRoute.path, express.static(staticRoute.directory));
+}
 
 // Routes
 // Note: We are now using separate route files for better organization
@@ -24,6 +47,12 @@ app.use('/api/auth', authRoutes); // Authentication routes (login, register, pro
 app.use('/api/products', productRoutes); // Product management routes (CRUD for products)
 app.use('/api/orders', orderRoutes); // Order management routes (place order, user orders, admin orders)
 app.use('/api/cart', cartRoutes); // Shopping cart routes (add, update, remove, clear cart)
+app.use('/api/wishlist', wishlistRoutes); // Wishlist routes (save items, bulk edit, share, move to cart)
+app.use('/api/feedback', feedbackRoutes); // Product review routes (submit, edit, moderate)
+app.use('/api/payments', paymentRoutes); // Payment provider webhooks
+app.use('/api/promotions', promotionRoutes); // Promotion codes (admin CRUD, apply to cart)
+app.use('/api/delivery-slots', deliverySlotRoutes); // Delivery slot availability and admin slot setup
+app.use('/api/categories', categoryRoutes); // Category tree (public) and category management (admin)
 
 
 // Simple root route for API status check
@@ -37,6 +66,18 @@ app.use((err, req, res, next) => {
     res.status(500).send('Something broke on the server!'); // Send a generic error message
 });
 
+// Release expired cart stock holds every minute (only when reservation mode is on)
+if (isReservationMode()) {
+    setInterval(() => {
+        releaseExpiredReservations().catch(error => console.error('Reservation sweep error:', error.message));
+    }, 60 * 1000);
+}
+
+// Delete unverified accounts past UNVERIFIED_ACCOUNT_MAX_AGE_DAYS once an hour
+setInterval(() => {
+    purgeUnverifiedAccounts().catch(error => console.error('Unverified account purge error:', error.message));
+}, 60 * 60 * 1000);
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
@@ -0,0 +1,10 @@
+// services/mail/consoleTransport.js - Prints outgoing email to the server log instead of sending it
+const consoleTransport = {
+    name: 'console',
+
+    async send({ from, to, subject, text }) {
+        console.log(`[mail] From: ${from}\n[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+    }
+};
+
+module.exports = consoleTransport;
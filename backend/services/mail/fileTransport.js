@@ -0,0 +1,28 @@
+// services/mail/fileTransport.js - Writes each outgoing email to a file under MAIL_DIR (default backend/mail)
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const directory = () => path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail'));
+
+const fileTransport = {
+    name: 'file',
+
+    async send({ from, to, subject, text }) {
+        const dir = directory();
+        await fs.mkdir(dir, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        const message = [
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            text
+        ].join('\r\n');
+        await fs.writeFile(path.join(dir, fileName), message);
+    }
+};
+
+module.exports = fileTransport;
@@ -0,0 +1,48 @@
+// services/mail/index.js - Outgoing email transport registry
+//
+// A mail transport is a plain object with:
+//   name                              Unique key, selected with MAIL_TRANSPORT (default 'console'; required
+//                                     when NODE_ENV is 'production')
+//   send({ from, to, subject, text }) -> resolves once the message has been handed off
+//
+// 'console' logs messages and 'file' writes them to MAIL_DIR for local development. Emails carry live
+// password reset and verification links, so production never falls back to logging them.
+// An SMTP or API-based transport (SES, SendGrid, ...) only needs to implement `send` and register itself here.
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+const transports = new Map();
+
+const registerTransport = (transport) => {
+    transports.set(transport.name, transport);
+};
+
+registerTransport(consoleTransport);
+registerTransport(fileTransport);
+
+// The configured transport
+const getTransport = () => {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set when NODE_ENV is "production".');
+    }
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports.get(name);
+    if (!transport) {
+        throw new Error(`Unknown mail transport "${name}".`);
+    }
+    return transport;
+};
+
+// Send a plain-text email from MAIL_FROM
+const sendMail = ({ to, subject, text }) => getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text
+});
+
+module.exports = {
+    registerTransport,
+    getTransport,
+    sendMail,
+};
@@ -0,0 +1,20 @@
+// services/payments/codProvider.js - Cash on delivery
+// No money moves at checkout, so the order is confirmed straight away and the payment
+// stays 'pending' until the driver collects it.
+
+const codProvider = {
+    name: 'cod',
+    supportsWebhooks: false,
+    confirmsImmediately: true, // Orders skip the wait for authorization
+
+    async createPayment() {
+        return { status: 'pending', transactionId: null };
+    },
+
+    // Cash refunds are handed back in person; just record it
+    async refund(order, amount) {
+        return { status: 'refunded', transactionId: null, amount };
+    }
+};
+
+module.exports = codProvider;
@@ -0,0 +1,170 @@
+// services/payments/index.js - Payment provider registry and order payment bookkeeping
+//
+// A payment provider is a plain object with:
+//   name                      Unique key, stored on Order.paymentProvider
+//   supportsWebhooks          Whether POST /api/payments/webhook/:provider accepts its events
+//   confirmsImmediately       (optional) Confirm the order at checkout without waiting for authorization
+//   createPayment(order)      -> { status: 'pending' | 'authorized', transactionId, clientData? }
+//   verifyWebhook(req)        -> { id, type, orderId, transactionId, amount } or null if the signature is invalid
+//   refund(order, amount, { idempotencyKey })
+//                             -> { status: 'refunded', transactionId }; a repeated idempotencyKey must not refund twice
+const mockProvider = require('./mockProvider');
+const codProvider = require('./codProvider');
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+const getProvider = (name) => providers.get(name);
+
+registerProvider(mockProvider);
+registerProvider(codProvider);
+
+// Map the customer-facing payment method onto a provider.
+// Anything that is not cash on delivery goes to PAYMENT_PROVIDER (defaults to the mock provider).
+const resolveProvider = (paymentMethod) => {
+    const method = String(paymentMethod || '').trim().toLowerCase();
+    if (method === 'cod' || method === 'cash on delivery') {
+        return codProvider;
+    }
+    return getProvider(process.env.PAYMENT_PROVIDER || 'mock');
+};
+
+// How far each payment status has progressed; events never move a payment backwards
+const PAYMENT_PROGRESS = { pending: 0, failed: 0, authorized: 1, captured: 2, refunded: 3 };
+
+// Record a payment event on the order and advance paymentStatus / status accordingly (does not save).
+// An order only leaves 'pending' for 'confirmed' once its payment is authorized or captured.
+// Returns false if the event was ignored (duplicate event id or a stale, out-of-order event).
+const applyPaymentEvent = (order, { id, type, transactionId, amount }) => {
+    if (id && order.paymentTransactions.some(txn => txn.eventId === id)) {
+        return false; // Webhooks are retried; each event is applied once
+    }
+    if (type !== 'failed' && PAYMENT_PROGRESS[type] <= PAYMENT_PROGRESS[order.paymentStatus]) {
+        return false;
+    }
+    if (type === 'failed' && PAYMENT_PROGRESS[order.paymentStatus] > 0) {
+        return false; // A late failure cannot undo money that was already taken
+    }
+
+    order.paymentTransactions.push({
+        event: type,
+        provider: order.paymentProvider,
+        transactionId: transactionId || undefined,
+        amount: amount === undefined ? order.totalAmount : amount,
+        eventId: id
+    });
+    order.paymentStatus = type;
+
+    if ((type === 'authorized' || type === 'captured') && order.status === 'pending') {
+        order.transitionTo('confirmed', { note: `Payment ${type}` });
+    }
+    return true;
+};
+
+// Whether an order may be fulfilled: its payment is authorized or captured, or it is paid in cash on delivery
+const isPaymentSecured = (order) => (
+    ['authorized', 'captured'].includes(order.paymentStatus) || order.paymentProvider === codProvider.name
+);
+
+// Start payment for a freshly placed order with its provider and save the result.
+// Returns the provider's client data (e.g. a checkout URL) for the response.
+const startPayment = async (order) => {
+    const provider = getProvider(order.paymentProvider);
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${order.paymentProvider}`);
+    }
+
+    let result;
+    try {
+        result = await provider.createPayment(order);
+    } catch (error) {
+        console.error(`Payment provider ${provider.name} error:`, error.message);
+        applyPaymentEvent(order, { type: 'failed' });
+        await order.save();
+        return null;
+    }
+
+    order.paymentTransactions.push({
+        event: 'initiated',
+        provider: provider.name,
+        transactionId: result.transactionId || undefined,
+        amount: order.totalAmount
+    });
+    if (result.status !== 'pending') {
+        applyPaymentEvent(order, { type: result.status, transactionId: result.transactionId });
+    }
+    if (provider.confirmsImmediately && order.status === 'pending') {
+        order.transitionTo('confirmed', { note: `Confirmed for ${provider.name.toUpperCase()} payment` });
+    }
+    await order.save();
+
+    return result.clientData || null;
+};
+
+// Whether a refund with this idempotency key has already been recorded on the order
+const hasRefund = (order, idempotencyKey) => order.paymentTransactions.some(
+    txn => txn.event === 'refunded' && txn.idempotencyKey === idempotencyKey
+);
+
+// Refund `amount` against the order and record it (does not save).
+// The provider is only asked to move money when the payment was actually authorized or captured;
+// otherwise (e.g. legacy orders) the refund is just recorded for manual settlement.
+// With an `idempotencyKey`, a refund already recorded under that key is not repeated, and the provider
+// gets the key so a retry after a lost response does not pay out twice. Returns false if it was skipped.
+const refundPayment = async (order, amount, { idempotencyKey } = {}) => {
+    if (idempotencyKey && hasRefund(order, idempotencyKey)) {
+        return false;
+    }
+    const provider = getProvider(order.paymentProvider);
+    let transactionId;
+    if (provider && ['authorized', 'captured'].includes(order.paymentStatus)) {
+        const result = await provider.refund(order, amount, { idempotencyKey });
+        transactionId = result.transactionId;
+    }
+
+    order.refundedAmount = Number((order.refundedAmount + amount).toFixed(2));
+    order.paymentTransactions.push({
+        event: 'refunded',
+        provider: order.paymentProvider,
+        transactionId: transactionId || undefined,
+        amount,
+        idempotencyKey
+    });
+    if (order.refundedAmount >= order.totalAmount) {
+        order.paymentStatus = 'refunded';
+    }
+    return true;
+};
+
+// Give back money taken for an order that was cancelled before its payment came through: an 'authorized'
+// or 'captured' event recorded after cancellation is refunded under the key `late:<eventId>` (does not save).
+// Safe to call again for the same event, e.g. when a webhook is retried after a failed refund.
+// Returns true if a refund was made.
+const refundLatePayment = async (order, eventId) => {
+    const charged = order.paymentTransactions.some(
+        txn => txn.eventId === eventId && ['authorized', 'captured'].includes(txn.event)
+    );
+    if (order.status !== 'cancelled' || !charged) {
+        return false;
+    }
+    const amount = Number((order.totalAmount - order.refundedAmount).toFixed(2));
+    if (amount <= 0) {
+        return false;
+    }
+    return refundPayment(order, amount, { idempotencyKey: `late:${eventId}` });
+};
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    resolveProvider,
+    applyPaymentEvent,
+    isPaymentSecured,
+    startPayment,
+    refundPayment,
+    refundLatePayment,
+    hasRefund,
+};
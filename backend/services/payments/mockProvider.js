@@ -0,0 +1,62 @@
+// services/payments/mockProvider.js - Offline payment provider for development and testing
+// It never contacts a real gateway. Payments start 'pending' and are moved along by signed
+// webhook events (see signMockEvent), or authorized straight away when MOCK_PAYMENT_AUTO_AUTHORIZE=true.
+const crypto = require('crypto');
+
+const getWebhookSecret = () => {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET is not defined in environment variables.');
+    }
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+// HMAC-SHA256 of the raw request body, hex encoded. Sent in the X-Webhook-Signature header.
+const signMockEvent = (rawBody) => crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+
+const mockProvider = {
+    name: 'mock',
+    supportsWebhooks: true,
+
+    async createPayment(order) {
+        return {
+            status: process.env.MOCK_PAYMENT_AUTO_AUTHORIZE === 'true' ? 'authorized' : 'pending',
+            transactionId: `mock_${crypto.randomBytes(12).toString('hex')}`,
+            // What a real gateway would hand to the client to complete payment
+            clientData: { checkoutUrl: `/mock-pay/${order._id}` }
+        };
+    },
+
+    // Returns the normalized event, or null when the signature does not match
+    verifyWebhook(req) {
+        const signature = req.get('x-webhook-signature');
+        if (!signature || !req.rawBody) {
+            return null;
+        }
+        const expected = Buffer.from(signMockEvent(req.rawBody), 'hex');
+        const received = Buffer.from(signature, 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        // Body shape: { id, type: 'payment.authorized' | 'payment.captured' | ..., data: { orderId, transactionId, amount } }
+        const { id, type, data = {} } = req.body;
+        return {
+            id,
+            type: typeof type === 'string' ? type.replace(/^payment\./, '') : undefined,
+            orderId: data.orderId,
+            transactionId: data.transactionId,
+            amount: data.amount
+        };
+    },
+
+    async refund(order, amount, { idempotencyKey } = {}) {
+        // A real gateway returns the original refund for a repeated key; derive the id from it the same way
+        const suffix = idempotencyKey
+            ? crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 24)
+            : crypto.randomBytes(12).toString('hex');
+        return { status: 'refunded', transactionId: `mock_refund_${suffix}`, amount };
+    }
+};
+
+module.exports = mockProvider;
+module.exports.signMockEvent = signMockEvent;
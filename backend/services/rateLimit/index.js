@@ -0,0 +1,41 @@
+// services/rateLimit/index.js - Storage for failed-attempt counters (see utils/loginThrottle)
+//
+// A limiter store is a plain object with:
+//   name                      Unique key, selected with LIMITER_STORE (default 'memory')
+//   get(key)                  -> the record saved under `key`, or null if there is none (or it expired)
+//   set(key, record, ttlMs)   -> saves `record`, replacing any earlier one; it may be dropped after `ttlMs`
+//   increment(key, ttlMs, amount = 1)
+//                             -> atomically adds `amount` to the counter at `key` (starting a new one at `amount`
+//                                if there is none) and keeps it for `ttlMs` from now.
+//                                Returns { count, firstAt, expiresAt }; firstAt is when the counter started.
+//   delete(key)               -> removes the record (a missing key is not an error)
+//   list()                    -> [{ key, ...record }] for every live record
+//
+// Records are small JSON-serialisable objects. `increment` must be atomic (e.g. Redis INCR) so that
+// concurrent requests cannot lose counts. The in-memory store is per process, so counters are
+// not shared between instances or kept across restarts; a Redis or database store only needs to
+// implement the same members and register itself here.
+const memoryStore = require('./memoryStore');
+
+const stores = new Map();
+
+const registerStore = (store) => {
+    stores.set(store.name, store);
+};
+
+registerStore(memoryStore);
+
+// The configured store
+const getStore = () => {
+    const name = process.env.LIMITER_STORE || 'memory';
+    const store = stores.get(name);
+    if (!store) {
+        throw new Error(`Unknown limiter store "${name}".`);
+    }
+    return store;
+};
+
+module.exports = {
+    registerStore,
+    getStore,
+};
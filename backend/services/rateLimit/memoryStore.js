@@ -0,0 +1,88 @@
+// services/rateLimit/memoryStore.js - Keeps limiter records in a Map in this process
+//
+// Expired records are swept every minute, and the map holds at most LIMITER_MEMORY_MAX_KEYS records
+// (default 100000): when full, expired records are dropped first, then the oldest ones. This keeps an
+// attacker who sends endless distinct emails or addresses from growing the process without bound.
+// Records with a `lockedUntil` still in the future (active lockouts) are never evicted, so flooding the
+// store cannot lift a lock; they may take the map past the limit until they expire.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const records = new Map(); // key -> { record, expiresAt }
+
+const maxKeys = () => parseInt(process.env.LIMITER_MEMORY_MAX_KEYS, 10) || 100000;
+
+const isLive = (entry, now = Date.now()) => entry && entry.expiresAt > now;
+
+const sweep = (now = Date.now()) => {
+    for (const [key, entry] of records) {
+        if (!isLive(entry, now)) {
+            records.delete(key);
+        }
+    }
+};
+
+const isActiveLock = (entry, now) => entry.record.lockedUntil > now;
+
+// Make room for one more key
+const ensureCapacity = () => {
+    if (records.size < maxKeys()) return;
+    const now = Date.now();
+    sweep(now);
+    // Map iteration follows insertion order, so the first keys are the oldest
+    for (const [key, entry] of records) {
+        if (records.size < maxKeys()) break;
+        if (!isActiveLock(entry, now)) {
+            records.delete(key);
+        }
+    }
+};
+
+const write = (key, record, expiresAt) => {
+    if (!records.has(key)) {
+        ensureCapacity();
+    }
+    records.set(key, { record, expiresAt });
+};
+
+// Does not keep the process alive on its own
+setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+const memoryStore = {
+    name: 'memory',
+
+    async get(key) {
+        const entry = records.get(key);
+        if (!isLive(entry)) {
+            records.delete(key);
+            return null;
+        }
+        return { ...entry.record };
+    },
+
+    async set(key, record, ttlMs) {
+        write(key, { ...record }, Date.now() + ttlMs);
+    },
+
+    // Runs synchronously, so concurrent increments of one key never lose a count
+    async increment(key, ttlMs, amount = 1) {
+        const now = Date.now();
+        const entry = records.get(key);
+        const record = isLive(entry, now)
+            ? { ...entry.record, count: entry.record.count + amount }
+            : { count: amount, firstAt: now };
+        const expiresAt = now + ttlMs;
+        write(key, record, expiresAt);
+        return { ...record, expiresAt };
+    },
+
+    async delete(key) {
+        records.delete(key);
+    },
+
+    async list() {
+        sweep();
+        return Array.from(records, ([key, entry]) => ({ key, ...entry.record }));
+    }
+};
+
+module.exports = memoryStore;
@@ -0,0 +1,35 @@
+// services/storage/index.js - File storage driver registry
+//
+// A storage driver is a plain object with:
+//   name                                 Unique key, selected with STORAGE_DRIVER (default 'local')
+//   save(key, buffer, { contentType })   -> { key, url }; overwrites an existing file with the same key
+//   remove(key)                          -> resolves once the file is gone (a missing file is not an error)
+//   url(key)                             -> public URL of a stored file
+//   staticRoute (optional)               -> { path, directory } that server.js serves with express.static
+//
+// Keys are forward-slash paths such as "products/<id>/<file>.webp". A cloud driver (S3, GCS, ...)
+// only needs to implement the same four members and register itself here.
+const localStorage = require('./localStorage');
+
+const drivers = new Map();
+
+const registerDriver = (driver) => {
+    drivers.set(driver.name, driver);
+};
+
+registerDriver(localStorage);
+
+// The configured driver
+const getStorage = () => {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const driver = drivers.get(name);
+    if (!driver) {
+        throw new Error(`Unknown storage driver "${name}".`);
+    }
+    return driver;
+};
+
+module.exports = {
+    registerDriver,
+    getStorage,
+};
@@ -0,0 +1,46 @@
+// services/storage/localStorage.js - Stores files on the server's disk
+// Files live under UPLOAD_DIR (default backend/uploads) and are served at UPLOAD_URL_PREFIX (default /uploads).
+const fs = require('fs/promises');
+const path = require('path');
+
+const directory = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+const urlPrefix = () => (process.env.UPLOAD_URL_PREFIX || '/uploads').replace(/\/+$/, '');
+
+// Resolve a key to a path inside the upload directory, refusing keys that would escape it
+const filePath = (key) => {
+    const root = directory();
+    const resolved = path.resolve(root, ...String(key).split('/'));
+    if (!resolved.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key "${key}".`);
+    }
+    return resolved;
+};
+
+const localStorage = {
+    name: 'local',
+
+    get staticRoute() {
+        return { path: urlPrefix(), directory: directory() };
+    },
+
+    async save(key, buffer) {
+        const target = filePath(key);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, buffer);
+        return { key, url: this.url(key) };
+    },
+
+    async remove(key) {
+        try {
+            await fs.unlink(filePath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    },
+
+    url(key) {
+        return `${urlPrefix()}/${key}`;
+    }
+};
+
+module.exports = localStorage;
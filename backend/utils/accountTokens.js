@@ -0,0 +1,63 @@
+// utils/accountTokens.js - Single-use, time-limited tokens sent to users by email
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a token for `purpose`, replacing any unused ones the user already has for it.
+// Returns the plain token; only its hash is stored.
+const issueToken = async (userId, purpose, ttlMs, { ip = '' } = {}) => {
+    await AccountToken.deleteMany({ userId, purpose, usedAt: null });
+    const token = crypto.randomBytes(32).toString('hex');
+    await AccountToken.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs),
+        requestedIp: ip
+    });
+    return token;
+};
+
+// When the user's most recent unused token for `purpose` was issued, or null if they have none
+const lastIssuedAt = async (userId, purpose) => {
+    const latest = await AccountToken.findOne({ userId, purpose, usedAt: null }).sort({ createdAt: -1 }).select('createdAt');
+    return latest ? latest.createdAt : null;
+};
+
+// Look up a usable token for `purpose` without redeeming it, e.g. to validate a request before
+// spending the token. Returns the token document, or null if it is unknown, expired or already used.
+const findToken = (token, purpose) => {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+    return AccountToken.findOne({ tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Redeem a token for `purpose`. Marking it used is atomic, so a token works at most once even
+// when submitted twice concurrently. Returns the token document, or null if it is unknown,
+// expired or already used. Pass `session` to redeem it as part of a transaction.
+const consumeToken = (token, purpose, { session } = {}) => {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+    const now = new Date();
+    return AccountToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true, session }
+    );
+};
+
+// Invalidate every unused token the user has for `purpose`
+const discardTokens = (userId, purpose, { session } = {}) => (
+    AccountToken.deleteMany({ userId, purpose, usedAt: null }, { session })
+);
+
+module.exports = {
+    issueToken,
+    lastIssuedAt,
+    findToken,
+    consumeToken,
+    discardTokens,
+};
@@ -0,0 +1,47 @@
+// utils/addressUtils.js - Address book helpers shared by the profile and checkout routes
+
+// Fields a client may set on an address book entry
+const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'city', 'postalCode', 'deliveryInstructions'];
+
+// Single-line form of a structured address, e.g. "12 Main St, Flat 4, Springfield 12345"
+const formatAddress = (address) => [address.line1, address.line2, `${address.city} ${address.postalCode}`]
+    .filter(part => part && part.trim())
+    .join(', ');
+
+// Copy of an address that is stored on the order, so later address book edits don't rewrite history
+const snapshotAddress = (address) => ({
+    label: address.label,
+    line1: address.line1,
+    line2: address.line2,
+    city: address.city,
+    postalCode: address.postalCode,
+    deliveryInstructions: address.deliveryInstructions
+});
+
+// Pick the shipping address for checkout: the requested address book entry, else the default entry,
+// else the legacy free-text User.address. Returns { shippingAddress, shippingAddressDetails } or { error }.
+const resolveShippingAddress = (user, addressId) => {
+    if (addressId) {
+        const address = user.addresses.id(addressId);
+        if (!address) {
+            return { error: 'Selected address not found in your address book.' };
+        }
+        return { shippingAddress: formatAddress(address), shippingAddressDetails: snapshotAddress(address) };
+    }
+
+    const defaultAddress = user.addresses.find(address => address.isDefault) || user.addresses[0];
+    if (defaultAddress) {
+        return { shippingAddress: formatAddress(defaultAddress), shippingAddressDetails: snapshotAddress(defaultAddress) };
+    }
+
+    if (!user.address || user.address === 'N/A') {
+        return { error: 'User profile is missing a shipping address. Please update your profile.' };
+    }
+    return { shippingAddress: user.address };
+};
+
+module.exports = {
+    ADDRESS_FIELDS,
+    formatAddress,
+    resolveShippingAddress,
+};
@@ -0,0 +1,32 @@
+// utils/cartUtils.js - Helpers shared by every route that writes to the embedded User.cart
+const { reserveForCart } = require('./reservations');
+const { lineKey } = require('./variants');
+
+// Add `quantity` units of `product` (of `variant`, for products with variants) to the user's embedded
+// cart (does not save the user). Applies the same stock rule as POST /api/cart: the combined cart quantity
+// may not exceed the available stock, and in reservation mode the units are held for the user.
+// Returns an error message string if the item cannot be added, or null on success.
+const addItemToCart = async (user, product, quantity, variant = null) => {
+    if (product.hasVariants && !variant) {
+        return `Please choose an option for ${product.name}.`;
+    }
+    const key = lineKey({ productId: product._id, variantId: variant ? variant._id : null });
+    const cartItem = user.cart.find(item => lineKey(item) === key);
+    const newQuantity = cartItem ? cartItem.quantity + quantity : quantity;
+
+    const stockError = await reserveForCart(user._id, product, newQuantity, variant);
+    if (stockError) {
+        return stockError;
+    }
+
+    if (cartItem) {
+        cartItem.quantity = newQuantity; // Update quantity if item already in cart
+    } else {
+        user.cart.push({ productId: product._id, variantId: variant ? variant._id : undefined, quantity }); // Add new item to cart
+    }
+    return null;
+};
+
+module.exports = {
+    addItemToCart,
+};
@@ -0,0 +1,116 @@
+// utils/categories.js - Category tree lookups shared by the category and product routes
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { escapeRegex, slugify } = require('./textUtils');
+
+// Find a category by id, slug or exact (case-insensitive) name. Resolves with null when none matches.
+const findCategory = async (identifier, session) => {
+    if (!identifier) return null;
+    if (mongoose.Types.ObjectId.isValid(identifier)) {
+        const byId = await Category.findById(identifier).session(session || null);
+        if (byId) return byId;
+    }
+    const value = String(identifier).trim();
+    return Category.findOne({
+        $or: [
+            { slug: slugify(value) },
+            { name: { $regex: `^${escapeRegex(value)}$`, $options: 'i' } }
+        ]
+    }).session(session || null);
+};
+
+// Ids of a category and everything below it
+const descendantIds = async (category) => {
+    const children = await Category.find({ ancestors: category._id }).distinct('_id');
+    return [category._id, ...children];
+};
+
+// Nest a flat list of categories under their parents, siblings ordered by sortOrder then name.
+// Categories whose parent is not in the list are treated as roots.
+const buildTree = (categories) => {
+    const nodes = new Map(categories.map(category => [
+        category._id.toString(),
+        { ...category.toObject(), children: [] }
+    ]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(node.parent.toString());
+        (parent ? parent.children : roots).push(node);
+    }
+    const sortNodes = (list) => {
+        list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+        list.forEach(node => sortNodes(node.children));
+        return list;
+    };
+    return sortNodes(roots);
+};
+
+// After `category` moved to a new parent, rewrite the ancestor path of everything below it
+const updateDescendantAncestors = async (category, session) => {
+    const descendants = await Category.find({ ancestors: category._id }).session(session || null);
+    if (descendants.length === 0) return;
+
+    await Category.bulkWrite(descendants.map(descendant => {
+        const position = descendant.ancestors.findIndex(id => id.equals(category._id));
+        return {
+            updateOne: {
+                filter: { _id: descendant._id },
+                update: { $set: { ancestors: [...category.ancestors, category._id, ...descendant.ancestors.slice(position + 1)] } }
+            }
+        };
+    }), { session });
+};
+
+// Products keep the category name in Product.category (used for tax rates and promotion scopes);
+// refresh it after a rename
+const syncProductCategoryName = (category, session) => Product.updateMany(
+    { categoryId: category._id },
+    { $set: { category: category.name } },
+    { session }
+);
+
+// A slug for `name` that is not taken yet: "organic", then "fruit-organic" under a parent, then "organic-2", ...
+const availableSlug = async (name, parent) => {
+    const base = slugify(name) || 'category';
+    const candidates = [base];
+    if (parent) candidates.push(`${parent.slug}-${base}`);
+    for (const candidate of candidates) {
+        if (!(await Category.exists({ slug: candidate }))) return candidate;
+    }
+    for (let suffix = 2; ; suffix++) {
+        if (!(await Category.exists({ slug: `${base}-${suffix}` }))) return `${base}-${suffix}`;
+    }
+};
+
+// Find or create the chain of categories for a path of names (["Fresh Produce", "Fruit"]),
+// used when migrating free-text categories. Resolves with the deepest category.
+const ensureCategoryPath = async (names) => {
+    let parent = null;
+    for (const name of names) {
+        let category = await Category.findOne({
+            parent: parent ? parent._id : null,
+            name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' }
+        });
+        if (!category) {
+            category = await Category.create({
+                name,
+                slug: await availableSlug(name, parent),
+                parent: parent ? parent._id : null,
+                ancestors: parent ? [...parent.ancestors, parent._id] : []
+            });
+        }
+        parent = category;
+    }
+    return parent;
+};
+
+module.exports = {
+    findCategory,
+    descendantIds,
+    buildTree,
+    updateDescendantAncestors,
+    syncProductCategoryName,
+    availableSlug,
+    ensureCategoryPath,
+};
@@ -0,0 +1,306 @@
+// utils/checkout.js - Transactional order placement shared by the checkout routes
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const User = require('../models/User');
+const { resolveProvider } = require('../services/payments');
+const { evaluatePromotion, findPromotionByCode, reserveRedemption, reserveUserRedemption } = require('./promotions');
+const { calculatePricing, fromMinor } = require('./pricing');
+const { reserveSlot } = require('./deliverySlots');
+const { takeHold } = require('./reservations');
+const { recordStockMovements } = require('./inventory');
+const { displayName, lineKey } = require('./variants');
+const StockReservation = require('../models/StockReservation');
+
+// Raised when checkout cannot complete. `lineErrors` lists every order line that failed
+// so the client can show all problems at once instead of one per attempt.
+class CheckoutError extends Error {
+    constructor(message, lineErrors = [], statusCode = 400) {
+        super(message);
+        this.name = 'CheckoutError';
+        this.lineErrors = lineErrors;
+        this.statusCode = statusCode;
+    }
+}
+
+// Check the shape of the requested lines before touching the database.
+// Returns one entry per invalid line (empty array when all lines are valid).
+const validateLines = (lines) => {
+    const lineErrors = [];
+    lines.forEach((line, index) => {
+        if (!line || !mongoose.Types.ObjectId.isValid(line.productId)) {
+            lineErrors.push({ line: index, productId: line ? line.productId : undefined, reason: 'invalid', message: 'Invalid product ID.' });
+        } else if (line.variantId && !mongoose.Types.ObjectId.isValid(line.variantId)) {
+            lineErrors.push({ line: index, productId: line.productId, variantId: line.variantId, reason: 'invalid', message: 'Invalid variant ID.' });
+        } else if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+            lineErrors.push({ line: index, productId: line.productId, reason: 'invalid', message: 'Quantity must be a positive integer.' });
+        }
+    });
+    return lineErrors;
+};
+
+// Fingerprint of everything that affects what the customer pays. Confirm recomputes it and
+// refuses to place the order when it no longer matches the one returned by the preview.
+const hashPreview = (items, pricing, promotion) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+        items: items.map(item => [lineKey(item), item.quantity, item.price]),
+        pricing: [pricing.subtotal, pricing.discount, pricing.tax, pricing.deliveryFee, pricing.smallOrderFee, pricing.serviceFee, pricing.total],
+        promotion: promotion && promotion.eligible ? promotion.code : null
+    }))
+    .digest('hex');
+
+// Snapshot of an applied promotion as stored on Order.promotion (discounts in minor units)
+const promotionSnapshot = (promotionId, result) => ({
+    promotionId,
+    code: result.code,
+    type: result.type,
+    discount: result.discount,
+    freeDelivery: result.freeDelivery,
+    lines: result.lines.map(line => ({ productId: line.productId, variantId: line.variantId, discount: line.discount }))
+});
+
+// Major-unit totals kept on orders and previews for clients that predate the pricing breakdown
+const legacyAmounts = (pricing) => ({
+    subtotalAmount: fromMinor(pricing.subtotal),
+    discountAmount: fromMinor(pricing.discount),
+    totalAmount: fromMinor(pricing.total)
+});
+
+// Build a checkout preview from the user's saved cart (User.cart), repricing every line from Product.
+// Lines whose product (or variant) was deleted or no longer has enough stock are reported in `issues`.
+// With a promoCode the preview also carries the promotion result. `pricing` is the full breakdown
+// from utils/pricing (minor units) that the order will be created with.
+const buildCartPreview = async (userId, { promoCode } = {}) => {
+    const user = await User.findById(userId)
+        .populate({ path: 'cart.productId', model: 'Product' })
+        .populate({ path: 'cart.variantId', model: 'ProductVariant' });
+    if (!user) {
+        return null;
+    }
+
+    // Units this user holds per product (reservation mode); they count as available to them
+    const holds = await StockReservation.find({ userId });
+    const heldByLine = new Map(holds.map(hold => [lineKey(hold), hold.quantity]));
+
+    const items = [];
+    const issues = [];
+    user.cart.forEach((cartItem, index) => {
+        const product = cartItem.productId; // Populated product, or null if it was deleted
+        const variant = cartItem.variantId; // Populated variant, or null for products without variants
+        if (!product || (product.hasVariants && !variant)) {
+            issues.push({ line: index, reason: 'not_found', message: 'A product in your cart is no longer available.' });
+            return;
+        }
+        const unit = variant || product; // Where this line's price and stock live
+        const name = displayName(product, variant);
+        const key = lineKey({ productId: product._id, variantId: variant ? variant._id : null });
+        const available = Math.max(unit.stock - (unit.reservedStock || 0) + (heldByLine.get(key) || 0), 0);
+        if (available < cartItem.quantity) {
+            issues.push({ line: index, productId: product._id, variantId: variant ? variant._id : undefined, name, requested: cartItem.quantity, available, reason: 'insufficient_stock', message: `Insufficient stock for ${name}. Available: ${available}` });
+        }
+        items.push({
+            productId: product._id,
+            variantId: variant ? variant._id : undefined,
+            sku: variant ? variant.sku : undefined,
+            name,
+            image: (variant && variant.image) || product.image,
+            category: product.category,
+            price: unit.price,
+            quantity: cartItem.quantity,
+            lineTotal: Number((unit.price * cartItem.quantity).toFixed(2))
+        });
+    });
+
+    let promotion = null;
+    if (promoCode && items.length > 0) {
+        const promotionDoc = await findPromotionByCode(promoCode);
+        promotion = await evaluatePromotion(promotionDoc, { items, userId });
+    }
+    const pricing = calculatePricing(items, { promotion });
+
+    return {
+        user,
+        items,
+        issues,
+        pricing,
+        ...legacyAmounts(pricing),
+        promotion,
+        canCheckout: items.length > 0 && issues.length === 0,
+        previewToken: hashPreview(items, pricing, promotion)
+    };
+};
+
+// Place an order in one transaction; nothing is saved unless every line succeeds.
+// Stock is taken with conditional updates (the user's own holds count as available), so checkouts never oversell.
+// Lines for products with variants must carry a `variantId`; their stock is taken from the variant.
+// A line's `expectedPrice` and `cartUpdatedAt` (the previewed User.cartUpdatedAt) must still match.
+// A promoCode is re-validated and its redemption counted atomically, in total and per user.
+// A deliverySlot ({ templateId, date }) is booked too; DELIVERY_SLOT_REQUIRED=true makes it mandatory.
+// Resolves with the saved order, or rejects with a CheckoutError listing every failing line.
+const placeOrder = async ({ userId, lines, paymentMethod, shippingAddress, shippingAddressDetails, cartUpdatedAt, promoCode, deliverySlot }) => {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw new CheckoutError('Cart is empty. Cannot place an empty order.');
+    }
+    // Accept numeric strings from older clients
+    lines = lines.map(line => (line ? { ...line, quantity: Number(line.quantity) } : line));
+    const invalidLines = validateLines(lines);
+    if (invalidLines.length > 0) {
+        throw new CheckoutError('Some cart items are invalid.', invalidLines);
+    }
+    const provider = resolveProvider(paymentMethod);
+    if (!provider) {
+        throw new CheckoutError('Payment method is not supported.');
+    }
+    if (!deliverySlot && process.env.DELIVERY_SLOT_REQUIRED === 'true') {
+        throw new CheckoutError('Please choose a delivery slot.');
+    }
+
+    let order;
+    await mongoose.connection.transaction(async (session) => {
+        // The callback may be retried on transient errors, so all state is rebuilt on each run
+        const lineErrors = [];
+        const orderItems = [];
+        const pricedLines = []; // Order items plus category, for promotion scope and tax rates
+        const movements = []; // Stock ledger entries, written once every line has succeeded
+        const orderId = new mongoose.Types.ObjectId(); // Known up front so movements can reference the order
+
+        for (const [index, line] of lines.entries()) {
+            // Convert the user's cart hold (if any) into a real deduction. Stock held for other
+            // customers is off limits: the line needs stock - reservedStock + held >= quantity.
+            const variantId = line.variantId || null;
+            const held = await takeHold(userId, line.productId, variantId, session);
+            const hasStock = { $expr: { $gte: [{ $subtract: [{ $add: ['$stock', held] }, { $ifNull: ['$reservedStock', 0] }] }, line.quantity] } };
+            const deduct = { $inc: { stock: -line.quantity, reservedStock: -held } };
+
+            let product;
+            let variant = null;
+            if (variantId) {
+                variant = await ProductVariant.findOneAndUpdate(
+                    { _id: variantId, productId: line.productId, ...hasStock },
+                    deduct,
+                    { new: true, session }
+                );
+                // The parent keeps the total across its variants
+                product = variant && await Product.findOneAndUpdate(
+                    { _id: line.productId },
+                    { $inc: { stock: -line.quantity } },
+                    { new: true, session }
+                );
+            } else {
+                product = await Product.findOneAndUpdate(
+                    { _id: line.productId, hasVariants: { $ne: true }, ...hasStock },
+                    deduct,
+                    { new: true, session }
+                );
+            }
+
+            if (!product) {
+                // Find out why the conditional update matched nothing
+                const current = await Product.findById(line.productId).session(session);
+                const currentVariant = current && variantId
+                    ? await ProductVariant.findOne({ _id: variantId, productId: current._id }).session(session)
+                    : null;
+                const unit = currentVariant || current;
+                const available = unit ? Math.max(unit.stock - (unit.reservedStock || 0) + held, 0) : 0;
+                if (!current || (variantId && !currentVariant)) {
+                    lineErrors.push({ line: index, productId: line.productId, variantId: line.variantId, reason: 'not_found', message: `Product with ID ${line.productId} not found.` });
+                } else if (!variantId && current.hasVariants) {
+                    lineErrors.push({ line: index, productId: line.productId, name: current.name, reason: 'variant_required', message: `Please choose an option for ${current.name}.` });
+                } else {
+                    const name = displayName(current, currentVariant);
+                    lineErrors.push({ line: index, productId: line.productId, variantId: line.variantId, name, requested: line.quantity, available, reason: 'insufficient_stock', message: `Insufficient stock for ${name}. Available: ${available}` });
+                }
+                continue; // Keep checking the remaining lines so every failure is reported
+            }
+
+            const unit = variant || product; // Where this line's price lives
+            const name = displayName(product, variant);
+            if (line.expectedPrice !== undefined && unit.price !== line.expectedPrice) {
+                lineErrors.push({ line: index, productId: line.productId, variantId: line.variantId, name, expectedPrice: line.expectedPrice, price: unit.price, reason: 'price_changed', message: `The price of ${name} has changed.` });
+                continue;
+            }
+
+            orderItems.push({
+                productId: product._id,
+                variantId: variant ? variant._id : undefined,
+                sku: variant ? variant.sku : undefined,
+                variantName: variant ? variant.name : undefined,
+                name, // Use product name from DB for consistency
+                quantity: line.quantity,
+                price: unit.price, // Use product price from DB for consistency
+                image: (variant && variant.image) || product.image // Use product image from DB for consistency
+            });
+            pricedLines.push({ ...orderItems[orderItems.length - 1], category: product.category });
+            movements.push({ product, variant, delta: -line.quantity, reason: 'sale', referenceType: 'order', referenceId: orderId, orderId, performedBy: userId });
+        }
+
+        if (lineErrors.length > 0) {
+            const changed = lineErrors.some(error => error.reason === 'price_changed');
+            throw new CheckoutError('Order could not be placed. Some items are unavailable or have changed.', lineErrors, changed ? 409 : 400);
+        }
+
+        let promotionResult;
+        let promotion;
+        if (promoCode) {
+            const promotionDoc = await findPromotionByCode(promoCode, session);
+            promotionResult = await evaluatePromotion(promotionDoc, { items: pricedLines, userId, session });
+            if (!promotionResult.eligible) {
+                throw new CheckoutError(promotionResult.message);
+            }
+            if (!(await reserveRedemption(promotionDoc, session))) {
+                throw new CheckoutError('This promotion has reached its usage limit.');
+            }
+            if (!(await reserveUserRedemption(promotionDoc, { userId, orderId, session }))) {
+                throw new CheckoutError(promotionDoc.firstOrderOnly
+                    ? 'This promotion is only valid on your first order.'
+                    : 'You have already used this promotion the maximum number of times.');
+            }
+            promotion = promotionSnapshot(promotionDoc._id, promotionResult);
+        }
+        const pricing = calculatePricing(pricedLines, { promotion: promotionResult });
+
+        let bookedSlot;
+        if (deliverySlot) {
+            const { slot, error, statusCode } = await reserveSlot(deliverySlot, session);
+            if (error) {
+                throw new CheckoutError(error, [], statusCode);
+            }
+            bookedSlot = { slotId: slot._id, date: slot.date, startTime: slot.startTime, endTime: slot.endTime };
+        }
+
+        [order] = await Order.create([{
+            _id: orderId,
+            userId,
+            items: orderItems,
+            pricing,
+            ...legacyAmounts(pricing),
+            promotion,
+            paymentMethod,
+            paymentProvider: provider.name,
+            shippingAddress,
+            shippingAddressDetails,
+            deliverySlot: bookedSlot,
+            status: 'pending' // Stays pending until the payment is authorized (or immediately confirmed for COD)
+        }], { session });
+        await recordStockMovements(movements, { session });
+
+        // Clear the user's cart in the same transaction as the order.
+        // When pinned to a previewed cart version, a concurrent cart edit aborts the checkout.
+        const cartFilter = cartUpdatedAt !== undefined ? { _id: userId, cartUpdatedAt } : { _id: userId };
+        const result = await User.updateOne(cartFilter, { $set: { cart: [], cartUpdatedAt: new Date() } }, { session });
+        if (result.matchedCount === 0) {
+            throw new CheckoutError('Your cart changed during checkout. Please review it and try again.', [], 409);
+        }
+    });
+
+    return order;
+};
+
+module.exports = {
+    CheckoutError,
+    buildCartPreview,
+    placeOrder,
+};
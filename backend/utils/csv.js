@@ -0,0 +1,68 @@
+// utils/csv.js - Minimal RFC 4180 CSV reading and writing (quoted fields, escaped quotes, CRLF or LF)
+
+// Parse CSV text into an array of rows (arrays of strings). Blank lines are dropped.
+// Throws an Error with the line number when a quoted field is never closed.
+const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, ''); // Drop a byte order mark from spreadsheet exports
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let quoteStartLine = 1;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+            quoteStartLine = line;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            line++;
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error(`Unterminated quoted field starting on line ${quoteStartLine}.`);
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const escapeField = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turn a header list and rows of objects into CSV text (CRLF line endings, as spreadsheets expect)
+const toCsv = (columns, records) => [
+    columns.map(escapeField).join(','),
+    ...records.map(record => columns.map(column => escapeField(record[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+    parseCsv,
+    toCsv,
+};
@@ -0,0 +1,123 @@
+// utils/deliverySlots.js - Delivery slot availability and booking
+// Dates and times are in the server's local time zone, which is treated as the store's time zone.
+const mongoose = require('mongoose');
+const DeliverySlot = require('../models/DeliverySlot');
+const DeliverySlotTemplate = require('../models/DeliverySlotTemplate');
+const DeliveryHoliday = require('../models/DeliveryHoliday');
+
+// Furthest ahead customers can book
+const MAX_BOOKING_DAYS = 14;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar date as "YYYY-MM-DD"
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Local Date for "YYYY-MM-DD" at "HH:mm"
+const toLocalDate = (date, time) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+};
+
+// When orders for a template's window on `date` stop being accepted
+const cutoffFor = (template, date) => new Date(toLocalDate(date, template.startTime).getTime() - template.cutoffMinutes * 60 * 1000);
+
+// List every slot in the next `days` days (starting today) that is still open for booking,
+// with its remaining capacity. Full slots are included with available: false so the UI can show them.
+const listAvailableSlots = async (days, now = new Date()) => {
+    const dates = [];
+    for (let offset = 0; offset < days; offset++) {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+        dates.push({ date: formatDate(day), dayOfWeek: day.getDay() });
+    }
+    const dateStrings = dates.map(({ date }) => date);
+
+    const [templates, holidays, slots] = await Promise.all([
+        DeliverySlotTemplate.find({ isActive: true }).sort({ startTime: 1 }),
+        DeliveryHoliday.find({ date: { $in: dateStrings } }),
+        DeliverySlot.find({ date: { $in: dateStrings } })
+    ]);
+    const holidayDates = new Set(holidays.map(holiday => holiday.date));
+    const bookedSlots = new Map(slots.map(slot => [`${slot.templateId}:${slot.date}`, slot]));
+
+    const available = [];
+    for (const { date, dayOfWeek } of dates) {
+        if (holidayDates.has(date)) continue;
+        for (const template of templates) {
+            if (template.dayOfWeek !== dayOfWeek) continue;
+            const cutoffAt = cutoffFor(template, date);
+            if (now >= cutoffAt) continue;
+
+            const slot = bookedSlots.get(`${template._id}:${date}`);
+            const capacity = slot ? slot.capacity : template.capacity;
+            const remaining = Math.max(capacity - (slot ? slot.bookedCount : 0), 0);
+            available.push({
+                templateId: template._id,
+                date,
+                startTime: template.startTime,
+                endTime: template.endTime,
+                cutoffAt,
+                remaining,
+                available: remaining > 0
+            });
+        }
+    }
+    return available;
+};
+
+// Book one order into the slot for `templateId` on `date`, inside the caller's transaction.
+// The booking is a conditional increment (bookedCount < capacity), so a slot can never be overbooked.
+// Returns { slot } on success or { error, statusCode } when the slot cannot be booked.
+const reserveSlot = async ({ templateId, date } = {}, session, now = new Date()) => {
+    if (!mongoose.Types.ObjectId.isValid(templateId) || !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+        return { error: 'A valid delivery slot (templateId and date) is required.', statusCode: 400 };
+    }
+
+    const template = await DeliverySlotTemplate.findById(templateId).session(session);
+    if (!template || !template.isActive || toLocalDate(date, '00:00').getDay() !== template.dayOfWeek) {
+        return { error: 'Delivery slot not found.', statusCode: 404 };
+    }
+    const lastBookableDate = formatDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + MAX_BOOKING_DAYS - 1));
+    if (date > lastBookableDate) {
+        return { error: `Delivery slots can only be booked ${MAX_BOOKING_DAYS} days ahead.`, statusCode: 400 };
+    }
+    if (now >= cutoffFor(template, date)) {
+        return { error: 'Ordering for this delivery slot has closed.', statusCode: 409 };
+    }
+    if (await DeliveryHoliday.exists({ date }).session(session)) {
+        return { error: 'There are no deliveries on this date.', statusCode: 409 };
+    }
+
+    // Create the concrete slot the first time it is booked
+    const slot = await DeliverySlot.findOneAndUpdate(
+        { templateId, date },
+        { $setOnInsert: { startTime: template.startTime, endTime: template.endTime, capacity: template.capacity, bookedCount: 0 } },
+        { upsert: true, new: true, session }
+    );
+
+    const booked = await DeliverySlot.findOneAndUpdate(
+        { _id: slot._id, $expr: { $lt: ['$bookedCount', '$capacity'] } },
+        { $inc: { bookedCount: 1 } },
+        { new: true, session }
+    );
+    if (!booked) {
+        return { error: 'This delivery slot is full. Please choose another slot.', statusCode: 409 };
+    }
+    return { slot: booked };
+};
+
+// Give a booking back, e.g. when the order is cancelled
+const releaseSlot = (slotId, session) => DeliverySlot.updateOne(
+    { _id: slotId, bookedCount: { $gt: 0 } },
+    { $inc: { bookedCount: -1 } },
+    { session }
+);
+
+module.exports = {
+    MAX_BOOKING_DAYS,
+    formatDate,
+    listAvailableSlots,
+    reserveSlot,
+    releaseSlot,
+};
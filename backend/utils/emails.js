@@ -0,0 +1,51 @@
+// utils/emails.js - Account emails sent through services/mail
+const { sendMail } = require('../services/mail');
+
+// Base URL of the storefront, used to build links in emails
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const sendPasswordResetEmail = (user, token, ttlMinutes) => sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset the password for your account. Open the link below to choose a new one:',
+        '',
+        `${appUrl()}/reset-password?token=${token}`,
+        '',
+        `The link expires in ${ttlMinutes} minutes and can only be used once.`,
+        'If you did not ask for this, you can ignore this email; your password has not been changed.'
+    ].join('\n')
+});
+
+const sendPasswordChangedEmail = (user) => sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: [
+        `Hi ${user.name},`,
+        '',
+        'The password for your account was just changed and you have been signed out on your other devices.',
+        'If this was not you, reset your password straight away and contact support.'
+    ].join('\n')
+});
+
+const sendVerificationEmail = (user, token, ttlHours) => sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+        `Hi ${user.name},`,
+        '',
+        'Thanks for signing up. Please confirm your email address by opening the link below:',
+        '',
+        `${appUrl()}/verify-email?token=${token}`,
+        '',
+        `The link expires in ${ttlHours} hours. If you did not create an account, you can ignore this email.`
+    ].join('\n')
+});
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail,
+};
@@ -0,0 +1,116 @@
+// utils/inventory.js - Every stock change goes through here so it lands in the StockMovement ledger
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const StockMovement = require('../models/StockMovement');
+
+// Used when a product has no reorderThreshold of its own
+const defaultReorderThreshold = () => {
+    const value = parseInt(process.env.DEFAULT_REORDER_THRESHOLD, 10);
+    return Number.isNaN(value) ? 5 : value;
+};
+
+const reorderThresholdFor = (product) => (
+    product.reorderThreshold === undefined || product.reorderThreshold === null
+        ? defaultReorderThreshold()
+        : product.reorderThreshold
+);
+
+// Append ledger entries. Each entry: { product or variant (after the change), delta, reason, referenceType,
+// referenceId, orderId, performedBy, note }. Warns when a movement takes a product or variant down to its
+// reorder threshold (unless `lowStockAlerts` is false, e.g. for stock written off rather than sold).
+// Pass a session to write the entries in the caller's transaction.
+const recordStockMovements = async (entries, { session, lowStockAlerts = true } = {}) => {
+    if (entries.length === 0) return;
+
+    await StockMovement.insertMany(entries.map(({ product, variant, ...entry }) => ({
+        ...entry,
+        productId: variant ? variant.productId : product._id,
+        variantId: variant ? variant._id : undefined,
+        resultingStock: (variant || product).stock
+    })), { session });
+    if (!lowStockAlerts) return;
+
+    for (const { product, variant, delta } of entries) {
+        const unit = variant || product;
+        const threshold = reorderThresholdFor(unit);
+        if (delta < 0 && unit.stock <= threshold && unit.stock - delta > threshold) {
+            const label = variant ? `SKU ${variant.sku}` : product.name;
+            console.warn(`Low stock alert: ${label} (${unit._id}) is down to ${unit.stock} (reorder threshold ${threshold}).`);
+        }
+    }
+};
+
+// Change a variant's stock by `delta` and keep the parent product's total in step.
+// Resolves with the updated variant, or null if it no longer exists.
+const incrementVariantStock = async (variantId, delta, session) => {
+    const variant = await ProductVariant.findOneAndUpdate(
+        { _id: variantId },
+        { $inc: { stock: delta } },
+        { new: true, session }
+    );
+    if (variant) {
+        await Product.updateOne({ _id: variant.productId }, { $inc: { stock: delta } }, { session });
+    }
+    return variant;
+};
+
+// Put quantities back on the shelf with atomic increments, e.g. after a cancellation or an approved
+// return, and record each movement. `context` carries the ledger fields (reason, referenceType,
+// referenceId, orderId, performedBy, note). Pass a session to make it part of a surrounding transaction.
+const restockItems = async (items, { session, ...context } = {}) => {
+    const entries = [];
+    for (const item of items) {
+        if (item.variantId) {
+            const variant = await incrementVariantStock(item.variantId, item.quantity, session);
+            if (!variant) {
+                console.warn(`Variant ${item.variantId} not found when restocking. Stock not adjusted.`);
+                continue;
+            }
+            entries.push({ ...context, variant, delta: item.quantity });
+            continue;
+        }
+        const product = await Product.findOneAndUpdate(
+            { _id: item.productId },
+            { $inc: { stock: item.quantity } },
+            { new: true, session }
+        );
+        if (!product) {
+            console.warn(`Product ${item.productId} not found when restocking. Stock not adjusted.`);
+            continue;
+        }
+        entries.push({ ...context, product, delta: item.quantity });
+    }
+    await recordStockMovements(entries, { session });
+};
+
+// Set a product's (or, with `variantId`, a variant's) stock to an absolute level (admin edit) and record
+// the difference. The previous level is read atomically with the write so the recorded delta is exact.
+// Resolves with the updated product or variant, or null if it does not exist.
+const setStockLevel = async (productId, stock, { session, variantId, ...context } = {}) => {
+    const StockModel = variantId ? ProductVariant : Product;
+    const previous = await StockModel.findOneAndUpdate(
+        variantId ? { _id: variantId, productId } : { _id: productId },
+        { $set: { stock } },
+        { new: false, session }
+    );
+    if (!previous) return null;
+
+    const delta = stock - previous.stock;
+    const unit = previous.set('stock', stock); // Same document with the new level, for the ledger
+    if (delta !== 0) {
+        if (variantId) {
+            await Product.updateOne({ _id: productId }, { $inc: { stock: delta } }, { session });
+        }
+        await recordStockMovements([{ ...context, [variantId ? 'variant' : 'product']: unit, delta }], { session });
+    }
+    return unit;
+};
+
+module.exports = {
+    reorderThresholdFor,
+    defaultReorderThreshold,
+    recordStockMovements,
+    incrementVariantStock,
+    restockItems,
+    setStockLevel,
+};
@@ -0,0 +1,172 @@
+// utils/loginThrottle.js - Brute-force protection for password and second-factor checks
+//
+// Every attempt is counted per account and per client IP in the limiter store (services/rateLimit)
+// *before* the secret is checked, with an atomic increment, so parallel guesses cannot all slip
+// through while the first ones are still being checked. A successful check takes its attempt back.
+//
+// From the third attempt on, attempts are spread out: attempt n may start no earlier than the
+// sum of the waits before it (1s, 2s, 4s, ... capped at LOGIN_MAX_DELAY_SECONDS) after the first
+// failure. Attempts made while asked to wait still count. Going past LOGIN_MAX_FAILURES locks the
+// account, or past LOGIN_IP_MAX_FAILURES blocks the IP, for LOGIN_LOCKOUT_MINUTES. Counters reset
+// after LOGIN_FAILURE_WINDOW_MINUTES without an attempt.
+//
+// Blocked attempts get 423 (account locked) or 429 (too soon / IP blocked) with `retryAfter` seconds.
+const { getStore } = require('../services/rateLimit');
+
+const intSetting = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const settings = () => ({
+    maxFailures: intSetting('LOGIN_MAX_FAILURES', 5),
+    ipMaxFailures: intSetting('LOGIN_IP_MAX_FAILURES', 20),
+    lockoutMs: intSetting('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000,
+    windowMs: intSetting('LOGIN_FAILURE_WINDOW_MINUTES', 15) * 60 * 1000,
+    maxDelayMs: intSetting('LOGIN_MAX_DELAY_SECONDS', 30) * 1000
+});
+
+// Counter key prefixes. Second-factor codes have their own account counter, so knowing the
+// password (and logging in again) cannot reset the count of wrong codes.
+const SCOPES = { password: 'account', second_factor: '2fa' };
+const LOCK_PREFIX = 'lock:';
+
+// The limiter keys for an attempt on `email` from `req`. `scope` is 'password' or 'second_factor'.
+const attemptKeys = (req, email, scope = 'password') => ({
+    account: `${SCOPES[scope]}:${String(email || '').trim().toLowerCase()}`,
+    ip: `ip:${req.ip || 'unknown'}`
+});
+
+// Wait before the next attempt after `failures` failures
+const delayAfter = (failures, { maxDelayMs }) => (failures < 2 ? 0 : Math.min(1000 * 2 ** (failures - 2), maxDelayMs));
+
+// Earliest start of attempt number `attempt`, relative to the first one
+const scheduledOffset = (attempt, config) => {
+    let offset = 0;
+    for (let failures = 2; failures < attempt; failures++) {
+        offset += delayAfter(failures, config);
+    }
+    return offset;
+};
+
+const secondsUntil = (time, now) => Math.max(1, Math.ceil((time - now) / 1000));
+
+const lockedBlock = (type, lockedUntil, now) => {
+    const retryAfter = secondsUntil(lockedUntil, now);
+    const minutes = Math.ceil(retryAfter / 60);
+    return type === 'account'
+        ? {
+            status: 423,
+            message: `Too many failed attempts. This account is locked; try again in ${minutes} minute(s).`,
+            retryAfter,
+            lockedUntil: new Date(lockedUntil)
+        }
+        : {
+            status: 429,
+            message: `Too many failed attempts from your network. Try again in ${minutes} minute(s).`,
+            retryAfter,
+            lockedUntil: new Date(lockedUntil)
+        };
+};
+
+// Replace the counter at `key` with a lock
+const lock = async (store, key, failures, config, now) => {
+    const lockedUntil = now + config.lockoutMs;
+    await store.set(LOCK_PREFIX + key, { failures, lockedAt: now, lockedUntil }, config.lockoutMs);
+    await store.delete(key);
+    console.warn(`Login lockout: ${key} locked after ${failures} failed attempts.`);
+    return lockedUntil;
+};
+
+// Count an attempt and decide whether it may go ahead. Call before checking the password or code,
+// then recordSuccess if it was right. Returns null when allowed, otherwise
+// { status, message, retryAfter, lockedUntil? } describing the block.
+const beginAttempt = async (keys, now = Date.now()) => {
+    const store = getStore();
+    const config = settings();
+
+    const [accountLock, ipLock] = await Promise.all([store.get(LOCK_PREFIX + keys.account), store.get(LOCK_PREFIX + keys.ip)]);
+    if (accountLock && accountLock.lockedUntil > now) {
+        return lockedBlock('account', accountLock.lockedUntil, now);
+    }
+    if (ipLock && ipLock.lockedUntil > now) {
+        return lockedBlock('ip', ipLock.lockedUntil, now);
+    }
+
+    const [account, ip] = await Promise.all([
+        store.increment(keys.account, config.windowMs),
+        store.increment(keys.ip, config.windowMs)
+    ]);
+    if (account.count > config.maxFailures) {
+        return lockedBlock('account', await lock(store, keys.account, account.count - 1, config, now), now);
+    }
+    if (ip.count > config.ipMaxFailures) {
+        return lockedBlock('ip', await lock(store, keys.ip, ip.count - 1, config, now), now);
+    }
+
+    const allowedAt = account.firstAt + scheduledOffset(account.count, config);
+    if (allowedAt > now) {
+        const retryAfter = secondsUntil(allowedAt, now);
+        return { status: 429, message: `Too many failed attempts. Try again in ${retryAfter} second(s).`, retryAfter };
+    }
+    return null;
+};
+
+// A correct password or code clears the account's counter. The IP only gets this attempt back, so
+// logging in to one known account cannot reset the counter while guessing at others.
+const recordSuccess = async (keys) => {
+    const store = getStore();
+    await Promise.all([
+        store.delete(keys.account),
+        store.increment(keys.ip, settings().windowMs, -1)
+    ]);
+};
+
+// Send the block described by beginAttempt
+const sendBlocked = (res, block) => {
+    res.set('Retry-After', String(block.retryAfter));
+    return res.status(block.status).json({
+        message: block.message,
+        retryAfter: block.retryAfter,
+        ...(block.lockedUntil ? { lockedUntil: block.lockedUntil } : {})
+    });
+};
+
+// Current lockouts (account, second-factor and IP), soonest to expire first
+const listLockouts = async (now = Date.now()) => {
+    const records = await getStore().list();
+    return records
+        .filter(record => record.key.startsWith(LOCK_PREFIX) && record.lockedUntil > now)
+        .sort((a, b) => a.lockedUntil - b.lockedUntil)
+        .map(record => {
+            const key = record.key.slice(LOCK_PREFIX.length);
+            return {
+                key,
+                type: key.split(':')[0],
+                failures: record.failures,
+                lockedAt: new Date(record.lockedAt),
+                lockedUntil: new Date(record.lockedUntil)
+            };
+        });
+};
+
+// Remove the lock and failure count for `key` ("account:<email>", "2fa:<email>" or "ip:<address>").
+// Returns false if there was neither.
+const clearLockout = async (key) => {
+    const store = getStore();
+    const [locked, counter] = await Promise.all([store.get(LOCK_PREFIX + key), store.get(key)]);
+    if (!locked && !counter) {
+        return false;
+    }
+    await Promise.all([store.delete(LOCK_PREFIX + key), store.delete(key)]);
+    return true;
+};
+
+module.exports = {
+    attemptKeys,
+    beginAttempt,
+    recordSuccess,
+    sendBlocked,
+    listLockouts,
+    clearLockout,
+};
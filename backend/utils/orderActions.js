@@ -0,0 +1,102 @@
+// utils/orderActions.js - Order lifecycle actions shared by customer and admin routes
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { restockItems } = require('./inventory');
+const { refundPayment, hasRefund } = require('../services/payments');
+const { releaseRedemption } = require('./promotions');
+const { releaseSlot } = require('./deliverySlots');
+
+// Thrown when an order was cancelled but the refund of its payment failed; `order` is the cancelled order
+class RefundError extends Error {
+    constructor(message, order) {
+        super(message);
+        this.name = 'RefundError';
+        this.order = order;
+    }
+}
+
+const cancellationRefundKey = (order) => `cancel:${order._id}`;
+
+// Whether a cancelled order still has money taken that its cancellation has not refunded yet
+const hasPendingCancellationRefund = (order) => (
+    order.status === 'cancelled'
+    && ['authorized', 'captured'].includes(order.paymentStatus)
+    && !hasRefund(order, cancellationRefundKey(order))
+);
+
+// Refund whatever is left of a cancelled order's payment and save it. The idempotency key makes a
+// retry safe; throws RefundError if the provider fails, leaving the refund pending for the next attempt.
+const refundCancelledOrder = async (order) => {
+    if (!hasPendingCancellationRefund(order)) {
+        return order;
+    }
+    try {
+        await refundPayment(order, Number((order.totalAmount - order.refundedAmount).toFixed(2)), {
+            idempotencyKey: cancellationRefundKey(order)
+        });
+        await order.save();
+    } catch (error) {
+        console.error(`Refund for cancelled order ${order._id} failed:`, error.message);
+        throw new RefundError('The order was cancelled, but the refund failed. Cancel it again to retry the refund.', order);
+    }
+    return order;
+};
+
+// Statuses an order can be cancelled from
+const CANCELLABLE_STATUSES = Object.keys(Order.STATUS_TRANSITIONS)
+    .filter(status => Order.STATUS_TRANSITIONS[status].includes('cancelled'));
+
+// Cancel an order: move it to 'cancelled', put every line back in stock, free its delivery slot,
+// give back its promotion redemption and refund any money taken.
+// The status change is claimed atomically (only while the stored order is still cancellable) in one
+// transaction with the restock and slot release, so concurrent cancels cannot restock twice.
+// The refund is made after the commit; if it fails a RefundError is thrown and the refund stays pending
+// (see refundCancelledOrder). Resolves with the cancelled order, or null if it was cancelled (or moved on)
+// in the meantime. Throws if the order cannot be cancelled.
+const cancelOrder = async (order, { changedBy, note } = {}) => {
+    // Checks the move and builds the timeline entry; the stored order is only changed by the claim below
+    order.transitionTo('cancelled', { changedBy, note });
+    const historyEntry = order.statusHistory[order.statusHistory.length - 1];
+
+    let claimed;
+    await mongoose.connection.transaction(async (session) => {
+        claimed = await Order.findOneAndUpdate(
+            { _id: order._id, status: { $in: CANCELLABLE_STATUSES } },
+            {
+                $set: { status: 'cancelled' },
+                $push: { statusHistory: historyEntry.toObject() }
+            },
+            { new: true, session }
+        );
+        if (!claimed) return;
+        await restockItems(claimed.items, {
+            session,
+            reason: 'cancellation',
+            referenceType: 'order',
+            referenceId: order._id,
+            orderId: order._id,
+            performedBy: changedBy,
+            note
+        });
+        if (claimed.deliverySlot && claimed.deliverySlot.slotId) {
+            await releaseSlot(claimed.deliverySlot.slotId, session);
+        }
+    });
+    if (!claimed) {
+        return null;
+    }
+
+    // Cancelled orders don't count towards promotion usage limits
+    if (claimed.promotion && claimed.promotion.promotionId) {
+        await releaseRedemption(claimed.promotion.promotionId, claimed._id);
+    }
+
+    return refundCancelledOrder(claimed);
+};
+
+module.exports = {
+    RefundError,
+    cancelOrder,
+    hasPendingCancellationRefund,
+    refundCancelledOrder,
+};
@@ -0,0 +1,52 @@
+// utils/permissions.js - Roles and the permissions they grant
+//
+// Routes check permissions with requirePermission (middleware/authMiddleware), never role names,
+// so a role's access is changed here in one place. 'admin' has every permission; 'user' (customers)
+// has none beyond their own account, cart and orders.
+const PERMISSIONS = {
+    'products:write': 'Create and edit products, variants and images',
+    'products:delete': 'Delete products',
+    'products:import': 'Bulk import and export products',
+    'categories:write': 'Create, edit and delete categories',
+    'inventory:read': 'View low-stock reports and stock movements',
+    'inventory:write': 'Set stock levels',
+    'orders:read': 'View all orders',
+    'orders:update-status': 'Move orders through any status, including cancellation',
+    'orders:deliver': 'Mark shipped orders as delivered',
+    'returns:manage': 'Approve and reject return requests',
+    'reviews:moderate': 'Approve, hide, reply to and delete reviews',
+    'promotions:manage': 'Create, edit and delete promotion codes',
+    'delivery-slots:manage': 'Manage delivery slot templates and holidays',
+    'users:read': 'View customer and staff accounts',
+    'users:manage': 'Change roles, delete users and clear login lockouts'
+};
+
+const ROLE_PERMISSIONS = {
+    user: [],
+    admin: Object.keys(PERMISSIONS),
+    store_manager: [
+        'products:write', 'products:delete', 'products:import', 'categories:write',
+        'inventory:read', 'inventory:write',
+        'orders:read', 'orders:update-status', 'orders:deliver', 'returns:manage',
+        'reviews:moderate', 'promotions:manage', 'delivery-slots:manage', 'users:read'
+    ],
+    inventory_clerk: ['inventory:read', 'inventory:write'],
+    support_agent: ['orders:read', 'returns:manage', 'reviews:moderate', 'users:read'],
+    delivery_driver: ['orders:read', 'orders:deliver']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Permissions granted to `role` (none for unknown roles)
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Whether `user` has `permission`
+const hasPermission = (user, permission) => Boolean(user) && permissionsFor(user.role).includes(permission);
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ROLES,
+    permissionsFor,
+    hasPermission,
+};
@@ -0,0 +1,111 @@
+// utils/pricing.js - Itemized price calculation shared by the cart and checkout
+//
+// All amounts are integers in minor units (cents) so totals never drift from float rounding.
+// Product prices are stored in major units and converted with toMinor() on the way in.
+//
+// Configuration (environment variables, amounts in minor units):
+//   TAX_RATES                JSON map of category -> tax rate in percent, e.g. {"beverages": 12, "fresh produce": 0}
+//   DEFAULT_TAX_RATE         Rate in percent for categories not listed in TAX_RATES (default 0)
+//   DELIVERY_FEE             Delivery fee per order (default 0)
+//   FREE_DELIVERY_THRESHOLD  Discounted subtotal at or above which delivery is free (default: never)
+//   SMALL_ORDER_THRESHOLD    Discounted subtotal below which the small-order surcharge applies (default 0)
+//   SMALL_ORDER_SURCHARGE    Surcharge for small orders (default 0)
+//   SERVICE_FEE              Flat service charge per order (default 0)
+
+const { lineKey } = require('./variants');
+
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+const fromMinor = (minor) => minor / 100;
+
+const readInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Read on every call so configuration changes apply without a code change
+const getPricingConfig = () => {
+    let taxRates = {};
+    if (process.env.TAX_RATES) {
+        try {
+            taxRates = Object.fromEntries(
+                Object.entries(JSON.parse(process.env.TAX_RATES)).map(([category, rate]) => [category.toLowerCase(), Number(rate)])
+            );
+        } catch (error) {
+            console.error('Pricing config ERROR: TAX_RATES is not valid JSON. Using DEFAULT_TAX_RATE for all categories.');
+        }
+    }
+    return {
+        taxRates,
+        defaultTaxRate: Number(process.env.DEFAULT_TAX_RATE) || 0,
+        deliveryFee: readInt('DELIVERY_FEE', 0),
+        freeDeliveryThreshold: readInt('FREE_DELIVERY_THRESHOLD', null),
+        smallOrderThreshold: readInt('SMALL_ORDER_THRESHOLD', 0),
+        smallOrderSurcharge: readInt('SMALL_ORDER_SURCHARGE', 0),
+        serviceFee: readInt('SERVICE_FEE', 0)
+    };
+};
+
+const taxRateFor = (category, config) => {
+    const rate = config.taxRates[String(category || '').toLowerCase()];
+    return rate === undefined ? config.defaultTaxRate : rate;
+};
+
+// Price a set of lines.
+// items:     [{ productId, variantId, name, price (major units), quantity, category }]
+// promotion: optional result of evaluatePromotion() ({ discount, freeDelivery, lines: [{ productId, variantId, discount }] })
+// Returns the full breakdown in minor units:
+// { subtotal, discount, tax, deliveryFee, smallOrderFee, serviceFee, total, taxLines, lines }
+const calculatePricing = (items, { promotion } = {}) => {
+    const config = getPricingConfig();
+    const promotionLines = new Map(
+        (promotion && promotion.eligible ? promotion.lines : []).map(line => [lineKey(line), line.discount])
+    );
+
+    const taxByRate = new Map();
+    const lines = items.map(item => {
+        const unitPrice = toMinor(item.price);
+        const lineSubtotal = unitPrice * item.quantity;
+        const discount = Math.min(promotionLines.get(lineKey(item)) || 0, lineSubtotal);
+        const taxRate = taxRateFor(item.category, config);
+        const taxable = lineSubtotal - discount;
+        const tax = Math.round((taxable * taxRate) / 100);
+
+        const bucket = taxByRate.get(taxRate) || { rate: taxRate, taxable: 0, tax: 0 };
+        bucket.taxable += taxable;
+        bucket.tax += tax;
+        taxByRate.set(taxRate, bucket);
+
+        return { productId: item.productId, variantId: item.variantId, name: item.name, unitPrice, quantity: item.quantity, lineSubtotal, discount, taxRate, tax };
+    });
+
+    const subtotal = lines.reduce((sum, line) => sum + line.lineSubtotal, 0);
+    const discount = lines.reduce((sum, line) => sum + line.discount, 0);
+    const tax = lines.reduce((sum, line) => sum + line.tax, 0);
+    const discountedSubtotal = subtotal - discount;
+
+    // Fees only apply to non-empty orders
+    const hasItems = lines.length > 0;
+    const freeDelivery = (promotion && promotion.eligible && promotion.freeDelivery)
+        || (config.freeDeliveryThreshold !== null && discountedSubtotal >= config.freeDeliveryThreshold);
+    const deliveryFee = hasItems && !freeDelivery ? config.deliveryFee : 0;
+    const smallOrderFee = hasItems && discountedSubtotal < config.smallOrderThreshold ? config.smallOrderSurcharge : 0;
+    const serviceFee = hasItems ? config.serviceFee : 0;
+
+    return {
+        subtotal,
+        discount,
+        tax,
+        deliveryFee,
+        smallOrderFee,
+        serviceFee,
+        total: discountedSubtotal + tax + deliveryFee + smallOrderFee + serviceFee,
+        taxLines: [...taxByRate.values()],
+        lines
+    };
+};
+
+module.exports = {
+    toMinor,
+    fromMinor,
+    calculatePricing,
+};
@@ -0,0 +1,92 @@
+// utils/productImages.js - Product gallery uploads: validation, thumbnails and file cleanup
+//
+// Each upload is stored as-is (after checking it really is an image) next to one square WebP thumbnail
+// per entry in THUMBNAIL_SIZES, all through the configured storage driver (services/storage).
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('../services/storage');
+
+// Thumbnail name -> edge length in pixels (cropped to a square around the centre)
+const THUMBNAIL_SIZES = { small: 150, medium: 400 };
+
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+const maxUploadBytes = () => parseInt(process.env.IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+// Raised when an uploaded file is not a usable image
+class ImageUploadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageUploadError';
+    }
+}
+
+// Every storage key belonging to a gallery image (original and thumbnails)
+const imageKeys = (image) => [image.key, ...Object.values(image.thumbnails || {}).map(thumbnail => thumbnail.key)];
+
+// Delete an image's files. Failures are logged, not thrown: a leftover file must not block a delete.
+const removeImageFiles = async (image) => {
+    const storage = getStorage();
+    for (const key of imageKeys(image)) {
+        try {
+            await storage.remove(key);
+        } catch (error) {
+            console.error(`Failed to delete stored file ${key}:`, error.message);
+        }
+    }
+};
+
+// Validate and store one uploaded file (a multer memory-storage file) for `productId`, generating its
+// thumbnails. Resolves with the gallery entry to push onto Product.images. If anything fails, files
+// written so far are removed and the error is rethrown (ImageUploadError for bad input).
+const storeProductImage = async (productId, file, { alt } = {}) => {
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+        throw new ImageUploadError(`${file.originalname} is not a valid image.`);
+    }
+    const extension = FORMAT_EXTENSIONS[metadata.format];
+    if (!extension) {
+        throw new ImageUploadError(`${file.originalname}: only JPEG, PNG and WebP images are supported.`);
+    }
+
+    const storage = getStorage();
+    const base = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+    const entry = { key: `${base}.${extension}`, alt: alt || '', width: metadata.width, height: metadata.height, thumbnails: {} };
+    try {
+        entry.url = (await storage.save(entry.key, file.buffer, { contentType: file.mimetype })).url;
+        for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+            const buffer = await sharp(file.buffer)
+                .rotate() // Respect EXIF orientation from phone cameras
+                .resize(size, size, { fit: 'cover' })
+                .webp({ quality: 80 })
+                .toBuffer();
+            const key = `${base}-${name}.webp`;
+            const { url } = await storage.save(key, buffer, { contentType: 'image/webp' });
+            entry.thumbnails[name] = { key, url, width: size, height: size };
+        }
+    } catch (error) {
+        await removeImageFiles(entry);
+        throw error;
+    }
+    return entry;
+};
+
+// Keep the legacy single `image` field pointing at the first gallery image (or the placeholder)
+const syncPrimaryImage = (product) => {
+    if (product.images.length > 0) {
+        product.image = product.images[0].url;
+    } else if (product.image && product.image.startsWith(getStorage().url(''))) {
+        product.image = product.schema.path('image').defaultValue; // Last uploaded image removed
+    }
+};
+
+module.exports = {
+    THUMBNAIL_SIZES,
+    ImageUploadError,
+    maxUploadBytes,
+    storeProductImage,
+    removeImageFiles,
+    syncPrimaryImage,
+};
@@ -0,0 +1,365 @@
+// utils/productImport.js - Bulk product import and export as CSV
+//
+// Both directions use the same columns, so an exported file can be edited and imported again:
+//   sku, name, variantOf, description, category, price, stock, weight, dimensions, image, returnable, reorderThreshold
+//
+// A row with an empty `variantOf` is a product. It is matched to an existing product by sku, or by
+// name (case-insensitive) when it has no sku, and is created when nothing matches. A row with
+// `variantOf` set is a variant (pack size) of the product with that sku or name; `name` is then the
+// variant label and `sku` is required. Empty cells on existing products keep the current value.
+// Products with variants are exported with empty price and stock: those live on the variant rows.
+//
+// Every stock change is written to the stock ledger like an admin edit.
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const { parseCsv, toCsv } = require('./csv');
+const { findCategory } = require('./categories');
+const { escapeRegex } = require('./textUtils');
+const { recordStockMovements, setStockLevel } = require('./inventory');
+const { syncVariantSummary } = require('./variants');
+
+const COLUMNS = ['sku', 'name', 'variantOf', 'description', 'category', 'price', 'stock', 'weight', 'dimensions', 'image', 'returnable', 'reorderThreshold'];
+
+const maxRows = () => parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+// Raised when the file as a whole cannot be imported (bad header, too many rows, malformed CSV)
+class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportError';
+    }
+}
+
+// Cell parsers. Each returns undefined for an empty cell and pushes a message to `errors` when invalid.
+const parseNumber = (record, column, errors, { integer = false } = {}) => {
+    const raw = record[column];
+    if (raw === '') return undefined;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0 || (integer && !Number.isInteger(value))) {
+        errors.push(`${column} must be a non-negative ${integer ? 'whole number' : 'number'}.`);
+        return undefined;
+    }
+    return value;
+};
+
+const parseBoolean = (record, column, errors) => {
+    const raw = record[column].toLowerCase();
+    if (raw === '') return undefined;
+    if (['true', 'yes', '1'].includes(raw)) return true;
+    if (['false', 'no', '0'].includes(raw)) return false;
+    errors.push(`${column} must be true or false.`);
+    return undefined;
+};
+
+// Map the header row to known columns (case-insensitive). Throws ImportError when it is unusable.
+const readHeader = (header) => {
+    const byLowerName = new Map(COLUMNS.map(column => [column.toLowerCase(), column]));
+    const columns = header.map(name => byLowerName.get(name.trim().toLowerCase()) || null);
+    if (!columns.includes('name')) {
+        throw new ImportError(`The header row must include a "name" column. Known columns: ${COLUMNS.join(', ')}.`);
+    }
+    return columns;
+};
+
+const toRecord = (columns, fields) => {
+    const record = Object.fromEntries(COLUMNS.map(column => [column, '']));
+    columns.forEach((column, index) => {
+        if (column) record[column] = (fields[index] || '').trim();
+    });
+    return record;
+};
+
+const findProductByName = (name) => Product.findOne({ name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' } });
+
+// Find the product a row refers to by sku, then by name. Returns { product } or { error }.
+const matchProduct = async (sku, name) => {
+    if (sku) {
+        const bySku = await Product.findOne({ sku: sku.toUpperCase() });
+        if (bySku) return { product: bySku };
+    }
+    const byName = await findProductByName(name);
+    if (byName && sku && byName.sku && byName.sku !== sku.toUpperCase()) {
+        return { error: `A product named "${byName.name}" already exists with SKU ${byName.sku}.` };
+    }
+    return { product: byName };
+};
+
+// Import CSV text. With dryRun nothing is written; the result shows what would happen.
+// Resolves with { dryRun, summary: { totalRows, created, updated, skipped }, results, errors }.
+// `results` has one entry per data row ({ row, action: created|updated|skipped, sku, name, reason }),
+// `errors` lists the invalid rows ({ row, sku, name, messages }); invalid rows are skipped, valid ones still import.
+// A row that fails for any other reason is rolled back and reported in `errors` the same way.
+// Row numbers count CSV records (blank lines ignored), the header being row 1.
+const importProducts = async (csvText, { dryRun = false, userId } = {}) => {
+    let rows;
+    try {
+        rows = parseCsv(csvText);
+    } catch (error) {
+        throw new ImportError(error.message);
+    }
+    if (rows.length < 2) {
+        throw new ImportError('The file must contain a header row and at least one product row.');
+    }
+    if (rows.length - 1 > maxRows()) {
+        throw new ImportError(`The file has ${rows.length - 1} rows; the limit is ${maxRows()}.`);
+    }
+
+    const columns = readHeader(rows[0]);
+    const categoryCache = new Map();
+    const resolveCategory = async (value) => {
+        const key = value.toLowerCase();
+        if (!categoryCache.has(key)) categoryCache.set(key, await findCategory(value));
+        return categoryCache.get(key);
+    };
+
+    const seenKeys = new Set(); // Products and variants already handled in this file
+    const plannedProducts = new Set(); // Products this file creates (by lowercased sku and name), for dry-run variant rows
+    const ledger = { referenceType: 'admin', referenceId: userId, performedBy: userId, note: 'CSV import' };
+    const results = [];
+    const errors = [];
+
+    for (const [index, fields] of rows.slice(1).entries()) {
+        const row = index + 2;
+        const record = toRecord(columns, fields);
+        const messages = [];
+        const { sku, name, variantOf } = record;
+        const fail = (message) => {
+            if (message) messages.push(message);
+            errors.push({ row, sku, name, messages });
+            results.push({ row, action: 'skipped', sku, name, reason: 'invalid' });
+        };
+
+        if (!name) {
+            fail('name is required.');
+            continue;
+        }
+        const key = variantOf ? `variant:${sku.toUpperCase()}` : `product:${(sku || name).toLowerCase()}`;
+        if (seenKeys.has(key)) {
+            fail('This product appears more than once in the file.');
+            continue;
+        }
+        seenKeys.add(key);
+
+        const price = parseNumber(record, 'price', messages);
+        const stock = parseNumber(record, 'stock', messages, { integer: true });
+        const weight = parseNumber(record, 'weight', messages);
+        const reorderThreshold = parseNumber(record, 'reorderThreshold', messages, { integer: true });
+        const returnable = parseBoolean(record, 'returnable', messages);
+        if (messages.length > 0) {
+            fail();
+            continue;
+        }
+
+        try {
+            const outcome = variantOf
+                ? await importVariantRow({ record, price, stock, weight, reorderThreshold }, { dryRun, ledger, plannedProducts })
+                : await importProductRow({ record, price, stock, weight, reorderThreshold, returnable }, { dryRun, ledger, plannedProducts, resolveCategory });
+            if (outcome.error) {
+                fail(outcome.error);
+                continue;
+            }
+            results.push({ row, action: outcome.action, sku, name, reason: outcome.reason });
+        } catch (error) {
+            if (error.name === 'ValidationError' || error.code === 11000) {
+                fail(error.code === 11000 ? 'The SKU is already used by another product.' : error.message);
+                continue;
+            }
+            // Anything else (e.g. a dropped connection) rolled back this row's transaction; report it
+            // and carry on, since earlier rows are already committed and the response must list them
+            console.error(`Product import error on row ${row}:`, error);
+            fail('The row could not be imported because of a server error; please retry it.');
+        }
+    }
+
+    const count = (action) => results.filter(result => result.action === action).length;
+    return {
+        dryRun,
+        summary: { totalRows: rows.length - 1, created: count('created'), updated: count('updated'), skipped: count('skipped') },
+        results,
+        errors
+    };
+};
+
+// Create or update one product. Resolves with { action, reason } or { error }.
+const importProductRow = async ({ record, price, stock, weight, reorderThreshold, returnable }, { dryRun, ledger, plannedProducts, resolveCategory }) => {
+    const { sku, name } = record;
+    if (sku && await ProductVariant.exists({ sku: sku.toUpperCase() })) {
+        return { error: `SKU ${sku.toUpperCase()} belongs to a product variant; set variantOf to import it as one.` };
+    }
+    const { product, error } = await matchProduct(sku, name);
+    if (error) return { error };
+
+    const category = record.category ? await resolveCategory(record.category) : null;
+    if (record.category && !category) {
+        return { error: `Unknown category "${record.category}".` };
+    }
+
+    const fields = {
+        sku: sku ? sku.toUpperCase() : undefined,
+        name,
+        description: record.description || undefined,
+        category: category ? category.name : undefined,
+        categoryId: category ? category._id : undefined,
+        price,
+        weight,
+        dimensions: record.dimensions || undefined,
+        image: record.image || undefined,
+        returnable,
+        reorderThreshold
+    };
+    Object.keys(fields).forEach(field => fields[field] === undefined && delete fields[field]);
+
+    if (!product) {
+        const missing = ['description', 'category', 'price'].filter(field => fields[field] === undefined);
+        if (stock === undefined) missing.push('stock');
+        if (missing.length > 0) {
+            return { error: `New products need: ${missing.join(', ')}.` };
+        }
+        plannedProducts.add(name.toLowerCase());
+        if (sku) plannedProducts.add(sku.toLowerCase());
+        if (dryRun) return { action: 'created' };
+
+        await mongoose.connection.transaction(async (session) => {
+            const [created] = await Product.create([{ ...fields, stock }], { session });
+            await recordStockMovements([{ ...ledger, product: created, delta: created.stock, reason: 'initial' }], { session });
+        });
+        return { action: 'created' };
+    }
+
+    if (product.hasVariants && (price !== undefined || stock !== undefined)) {
+        return { error: `${product.name} has variants; set price and stock on its variant rows.` };
+    }
+    // Only fields whose value actually differs count as an update
+    const changed = Object.keys(fields).filter(field => String(product[field]) !== String(fields[field]));
+    const stockChanged = stock !== undefined && stock !== product.stock;
+    if (changed.length === 0 && !stockChanged) {
+        return { action: 'skipped', reason: 'unchanged' };
+    }
+    if (dryRun) return { action: 'updated' };
+
+    await mongoose.connection.transaction(async (session) => {
+        if (stockChanged) {
+            await setStockLevel(product._id, stock, { ...ledger, session, reason: 'adjustment' });
+        }
+        if (changed.length > 0) {
+            const current = await Product.findById(product._id).session(session);
+            changed.forEach(field => current.set(field, fields[field]));
+            await current.save({ session });
+        }
+    });
+    return { action: 'updated' };
+};
+
+// Create or update one variant of an existing (or, in a dry run, planned) product.
+const importVariantRow = async ({ record, price, stock, weight, reorderThreshold }, { dryRun, ledger, plannedProducts }) => {
+    const { sku, name, variantOf } = record;
+    if (!sku) {
+        return { error: 'Variant rows need a sku.' };
+    }
+    if (await Product.exists({ sku: sku.toUpperCase() })) {
+        return { error: `SKU ${sku.toUpperCase()} belongs to a product; clear variantOf to import it as one.` };
+    }
+
+    const parent = await Product.findOne({ sku: variantOf.toUpperCase() }) || await findProductByName(variantOf);
+    if (!parent) {
+        if (dryRun && plannedProducts.has(variantOf.toLowerCase())) {
+            return price === undefined || stock === undefined
+                ? { error: 'New variants need: price, stock.' }
+                : { action: 'created' };
+        }
+        return { error: `Product "${variantOf}" was not found.` };
+    }
+
+    const fields = { sku: sku.toUpperCase(), name, price, weight, image: record.image || undefined, reorderThreshold };
+    Object.keys(fields).forEach(field => fields[field] === undefined && delete fields[field]);
+
+    const variant = await ProductVariant.findOne({ sku: sku.toUpperCase() });
+    if (variant && !variant.productId.equals(parent._id)) {
+        return { error: `SKU ${variant.sku} is a variant of another product.` };
+    }
+
+    if (!variant) {
+        if (price === undefined || stock === undefined) {
+            return { error: 'New variants need: price, stock.' };
+        }
+        if (dryRun) return { action: 'created' };
+
+        await mongoose.connection.transaction(async (session) => {
+            const [created] = await ProductVariant.create([{ ...fields, productId: parent._id, stock }], { session });
+            await recordStockMovements([{ ...ledger, variant: created, delta: created.stock, reason: 'initial' }], { session });
+            await syncVariantSummary(parent._id, session, ledger);
+        });
+        return { action: 'created' };
+    }
+
+    const changed = Object.keys(fields).filter(field => String(variant[field]) !== String(fields[field]));
+    const stockChanged = stock !== undefined && stock !== variant.stock;
+    if (changed.length === 0 && !stockChanged) {
+        return { action: 'skipped', reason: 'unchanged' };
+    }
+    if (dryRun) return { action: 'updated' };
+
+    await mongoose.connection.transaction(async (session) => {
+        if (stockChanged) {
+            await setStockLevel(parent._id, stock, { ...ledger, session, variantId: variant._id, reason: 'adjustment' });
+        }
+        if (changed.length > 0) {
+            const current = await ProductVariant.findById(variant._id).session(session);
+            changed.forEach(field => current.set(field, fields[field]));
+            await current.save({ session });
+        }
+        await syncVariantSummary(parent._id, session, ledger);
+    });
+    return { action: 'updated' };
+};
+
+// The whole catalog as CSV, each product followed by its variants
+const exportProducts = async () => {
+    const products = await Product.find().sort({ category: 1, name: 1 }).lean();
+    const variants = await ProductVariant.find().sort({ sortOrder: 1, price: 1 }).lean();
+    const variantsByProduct = new Map();
+    variants.forEach(variant => {
+        const key = variant.productId.toString();
+        if (!variantsByProduct.has(key)) variantsByProduct.set(key, []);
+        variantsByProduct.get(key).push(variant);
+    });
+
+    const records = [];
+    for (const product of products) {
+        records.push({
+            sku: product.sku,
+            name: product.name,
+            variantOf: '',
+            description: product.description,
+            category: product.category,
+            price: product.hasVariants ? '' : product.price,
+            stock: product.hasVariants ? '' : product.stock,
+            weight: product.weight,
+            dimensions: product.dimensions,
+            image: product.image,
+            returnable: product.returnable === false ? 'false' : 'true',
+            reorderThreshold: product.reorderThreshold
+        });
+        for (const variant of variantsByProduct.get(product._id.toString()) || []) {
+            records.push({
+                sku: variant.sku,
+                name: variant.name,
+                variantOf: product.sku || product.name,
+                price: variant.price,
+                stock: variant.stock,
+                weight: variant.weight,
+                image: variant.image,
+                reorderThreshold: variant.reorderThreshold
+            });
+        }
+    }
+    return toCsv(COLUMNS, records);
+};
+
+module.exports = {
+    COLUMNS,
+    ImportError,
+    importProducts,
+    exportProducts,
+};
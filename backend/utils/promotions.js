@@ -0,0 +1,194 @@
+// utils/promotions.js - Promotion eligibility and discount calculation
+// Promotions are configured in major units (like Product.price); discounts are returned in
+// minor units (cents) so per-line discounts always add up to the total discount.
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { toMinor: toCents } = require('./pricing');
+
+// Split `totalCents` across lines in proportion to their value; the remainder goes to the last line
+const allocate = (lines, totalCents) => {
+    const baseCents = lines.reduce((sum, line) => sum + line.lineCents, 0);
+    let allocated = 0;
+    return lines.map((line, index) => {
+        const share = index === lines.length - 1
+            ? totalCents - allocated
+            : Math.floor((totalCents * line.lineCents) / baseCents);
+        allocated += share;
+        return share;
+    });
+};
+
+// Count this user's redemptions of the promotion on orders that were not cancelled
+const countUserRedemptions = (promotionId, userId, session) => Order.countDocuments({
+    userId,
+    'promotion.promotionId': promotionId,
+    status: { $ne: 'cancelled' }
+}).session(session || null);
+
+// Work out whether `promotion` applies to `items` for `userId`, and by how much.
+// items: [{ productId, variantId, name, price, quantity, category }]
+// Resolves with { eligible: false, message } or
+// { eligible: true, discount, freeDelivery, lines: [{ productId, variantId, name, discount }] } with discounts in minor units.
+const evaluatePromotion = async (promotion, { items, userId, now = new Date(), session } = {}) => {
+    const ineligible = (message) => ({ eligible: false, message });
+
+    if (!promotion || !promotion.isActive) {
+        return ineligible('This promotion code is not valid.');
+    }
+    if (promotion.startsAt && now < promotion.startsAt) {
+        return ineligible('This promotion has not started yet.');
+    }
+    if (promotion.endsAt && now > promotion.endsAt) {
+        return ineligible('This promotion has expired.');
+    }
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+        return ineligible('This promotion has reached its usage limit.');
+    }
+
+    // Lines the promotion applies to
+    const productScope = new Set(promotion.productIds.map(id => id.toString()));
+    const categoryScope = new Set(promotion.categories.map(category => category.toLowerCase()));
+    const scoped = productScope.size === 0 && categoryScope.size === 0;
+    const inScope = items
+        .filter(item => scoped
+            || productScope.has(item.productId.toString())
+            || categoryScope.has(String(item.category || '').toLowerCase()))
+        .map(item => ({ ...item, lineCents: toCents(item.price) * item.quantity }));
+
+    if (inScope.length === 0) {
+        return ineligible('This promotion does not apply to any items in your cart.');
+    }
+    const scopeCents = inScope.reduce((sum, line) => sum + line.lineCents, 0);
+    if (scopeCents < toCents(promotion.minSpend)) {
+        return ineligible(`Spend at least ${promotion.minSpend.toFixed(2)} on qualifying items to use this promotion.`);
+    }
+
+    if (userId && (promotion.perUserLimit || promotion.firstOrderOnly)) {
+        if (promotion.perUserLimit) {
+            const used = await countUserRedemptions(promotion._id, userId, session);
+            if (used >= promotion.perUserLimit) {
+                return ineligible('You have already used this promotion the maximum number of times.');
+            }
+        }
+        if (promotion.firstOrderOnly) {
+            const previousOrders = await Order.countDocuments({ userId, status: { $ne: 'cancelled' } }).session(session || null);
+            if (previousOrders > 0) {
+                return ineligible('This promotion is only valid on your first order.');
+            }
+        }
+    }
+
+    let lineDiscounts;
+    switch (promotion.type) {
+        case 'percentage': {
+            let totalCents = Math.round((scopeCents * promotion.value) / 100);
+            if (promotion.maxDiscount !== undefined && promotion.maxDiscount !== null) {
+                totalCents = Math.min(totalCents, toCents(promotion.maxDiscount));
+            }
+            lineDiscounts = allocate(inScope, totalCents);
+            break;
+        }
+        case 'fixed':
+            lineDiscounts = allocate(inScope, Math.min(toCents(promotion.value), scopeCents));
+            break;
+        case 'buy_x_get_y': {
+            const groupSize = promotion.buyQuantity + promotion.getQuantity;
+            lineDiscounts = inScope.map(line => Math.floor(line.quantity / groupSize) * promotion.getQuantity * toCents(line.price));
+            if (lineDiscounts.every(cents => cents === 0)) {
+                return ineligible(`Add ${groupSize} of a qualifying item to use this promotion.`);
+            }
+            break;
+        }
+        case 'free_delivery':
+            lineDiscounts = inScope.map(() => 0);
+            break;
+        default:
+            return ineligible('This promotion code is not valid.');
+    }
+
+    const lines = inScope
+        .map((line, index) => ({ productId: line.productId, variantId: line.variantId, name: line.name, discount: lineDiscounts[index] }))
+        .filter(line => line.discount > 0);
+
+    return {
+        eligible: true,
+        code: promotion.code,
+        type: promotion.type,
+        description: promotion.description,
+        discount: lineDiscounts.reduce((sum, cents) => sum + cents, 0),
+        freeDelivery: promotion.type === 'free_delivery',
+        lines
+    };
+};
+
+// Look a code up (case-insensitive)
+const findPromotionByCode = (code, session) => Promotion.findOne({ code: String(code).trim().toUpperCase() }).session(session || null);
+
+// Count one redemption, refusing if the total usage limit has been reached in the meantime.
+// Returns true when the redemption was recorded.
+const reserveRedemption = async (promotion, session) => {
+    const result = await Promotion.updateOne(
+        {
+            _id: promotion._id,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usageCount: 1 } },
+        { session }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Redemptions one user may make: perUserLimit, or just one for first-order promotions (null for unlimited)
+const userRedemptionLimit = (promotion) => {
+    if (promotion.firstOrderOnly) return 1;
+    return promotion.perUserLimit || null;
+};
+
+// Take one of the user's redemptions of a per-user-limited promotion for `orderId`. The count checked by
+// evaluatePromotion is only a read; this claims a free slot under a unique index, so concurrent checkouts
+// by the same user cannot both get it. Returns true when the redemption was recorded (or is not limited).
+const reserveUserRedemption = async (promotion, { userId, orderId, session }) => {
+    const limit = userRedemptionLimit(promotion);
+    if (!limit) {
+        return true;
+    }
+    const taken = new Set((await PromotionRedemption.find({ promotionId: promotion._id, userId }).select('slot').session(session || null))
+        .map(redemption => redemption.slot));
+    let slot = 0;
+    while (taken.has(slot)) slot += 1;
+    if (slot >= limit) {
+        return false;
+    }
+    try {
+        await PromotionRedemption.create([{ promotionId: promotion._id, userId, orderId, slot }], { session });
+    } catch (error) {
+        if (error.code === 11000) {
+            return false; // Taken by a concurrent checkout
+        }
+        throw error;
+    }
+    return true;
+};
+
+// Give a redemption back, e.g. when the order is cancelled
+const releaseRedemption = async (promotionId, orderId) => {
+    await Promotion.updateOne(
+        { _id: promotionId, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } }
+    );
+    if (orderId) {
+        await PromotionRedemption.deleteOne({ promotionId, orderId });
+    }
+};
+
+module.exports = {
+    evaluatePromotion,
+    findPromotionByCode,
+    reserveRedemption,
+    reserveUserRedemption,
+    releaseRedemption,
+};
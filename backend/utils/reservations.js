@@ -0,0 +1,127 @@
+// utils/reservations.js - Time-limited stock holds for cart items
+//
+// With CART_RESERVATIONS=true, adding to the cart holds the stock for CART_RESERVATION_MINUTES
+// (default 15). Held units are tracked in Product.reservedStock, so the stock other customers can
+// buy is `stock - reservedStock`. Expired holds are released by releaseExpiredReservations(),
+// which server.js runs on a timer, and checkout turns a user's holds into real stock deductions.
+// Without reservation mode no holds are created and available stock is simply `stock`.
+// For products with variants the same counters live on the ProductVariant and holds name the variant.
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const StockReservation = require('../models/StockReservation');
+const { displayName } = require('./variants');
+
+const isReservationMode = () => process.env.CART_RESERVATIONS === 'true';
+
+const holdDurationMs = () => (parseInt(process.env.CART_RESERVATION_MINUTES, 10) || 15) * 60 * 1000;
+
+// Model holding the stock counters for a hold: the variant when there is one, else the product
+const stockModelFor = (variantId) => (variantId ? ProductVariant : Product);
+
+// Units of `product` (or of its `variant`) this user could have in their cart: free stock plus what they already hold
+const getAvailableStock = async (product, userId, variant = null) => {
+    const unit = variant || product;
+    const hold = userId ? await StockReservation.findOne({ userId, productId: product._id, variantId: variant ? variant._id : null }) : null;
+    return Math.max(unit.stock - (unit.reservedStock || 0) + (hold ? hold.quantity : 0), 0);
+};
+
+// Make sure `quantity` units of `product` (of `variant`, for products with variants) can sit in the user's cart.
+// In reservation mode the user's hold is moved to exactly `quantity` (and its expiry extended);
+// the change to reservedStock is conditional, so holds can never exceed stock.
+// Returns an error message string if there is not enough stock, or null on success.
+const reserveForCart = async (userId, product, quantity, variant = null) => {
+    const insufficient = (available) => `Insufficient stock for ${displayName(product, variant)}. Available: ${available}, Requested: ${quantity}`;
+
+    if (!isReservationMode()) {
+        const available = await getAvailableStock(product, userId, variant);
+        return quantity > available ? insufficient(available) : null;
+    }
+
+    const variantId = variant ? variant._id : null;
+    const StockModel = stockModelFor(variantId);
+    const unitId = variant ? variant._id : product._id;
+    let error = null;
+    await mongoose.connection.transaction(async (session) => {
+        error = null; // Reset state in case the transaction is retried
+        const hold = await StockReservation.findOne({ userId, productId: product._id, variantId }).session(session);
+        const delta = quantity - (hold ? hold.quantity : 0);
+
+        if (delta > 0) {
+            const updated = await StockModel.findOneAndUpdate(
+                { _id: unitId, $expr: { $lte: [{ $add: [{ $ifNull: ['$reservedStock', 0] }, delta] }, '$stock'] } },
+                { $inc: { reservedStock: delta } },
+                { new: true, session }
+            );
+            if (!updated) {
+                const current = await StockModel.findById(unitId).session(session);
+                const available = current ? Math.max(current.stock - current.reservedStock + (hold ? hold.quantity : 0), 0) : 0;
+                error = insufficient(available);
+                return;
+            }
+        } else if (delta < 0) {
+            await StockModel.updateOne({ _id: unitId }, { $inc: { reservedStock: delta } }, { session });
+        }
+
+        await StockReservation.updateOne(
+            { userId, productId: product._id, variantId },
+            { $set: { quantity, expiresAt: new Date(Date.now() + holdDurationMs()) } },
+            { upsert: true, session }
+        );
+    });
+    return error;
+};
+
+// Drop one hold and give its units back, inside an existing transaction
+const releaseHoldInSession = async (filter, session) => {
+    const hold = await StockReservation.findOneAndDelete(filter, { session });
+    if (hold) {
+        await stockModelFor(hold.variantId).updateOne(
+            { _id: hold.variantId || hold.productId },
+            { $inc: { reservedStock: -hold.quantity } },
+            { session }
+        );
+    }
+    return hold;
+};
+
+// Release the user's hold on a product or one of its variants (item removed from the cart)
+const releaseHold = (userId, productId, variantId = null) => mongoose.connection.transaction(
+    (session) => releaseHoldInSession({ userId, productId, variantId }, session)
+);
+
+// Release every hold the user has (cart cleared)
+const releaseAllHolds = async (userId) => {
+    const holds = await StockReservation.find({ userId }).select('_id');
+    for (const hold of holds) {
+        await mongoose.connection.transaction((session) => releaseHoldInSession({ _id: hold._id }, session));
+    }
+};
+
+// Checkout: remove the user's hold on a product (or variant) inside the order transaction and return the
+// units it held, which the caller deducts from stock and reservedStock together. Rolled back with the order.
+const takeHold = async (userId, productId, variantId, session) => {
+    const hold = await StockReservation.findOneAndDelete({ userId, productId, variantId: variantId || null }, { session });
+    return hold ? hold.quantity : 0;
+};
+
+// Release every hold whose time is up. Safe to run concurrently: each hold is released at most once.
+const releaseExpiredReservations = async (now = new Date()) => {
+    const expired = await StockReservation.find({ expiresAt: { $lte: now } }).select('_id');
+    for (const hold of expired) {
+        await mongoose.connection.transaction(
+            (session) => releaseHoldInSession({ _id: hold._id, expiresAt: { $lte: now } }, session)
+        );
+    }
+    return expired.length;
+};
+
+module.exports = {
+    isReservationMode,
+    getAvailableStock,
+    reserveForCart,
+    releaseHold,
+    releaseAllHolds,
+    takeHold,
+    releaseExpiredReservations,
+};
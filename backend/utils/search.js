@@ -0,0 +1,210 @@
+// utils/search.js - Catalog search: text index ranking, typo/plural tolerance and facet counts
+//
+// Products carry a weighted text index (see models/Product), which gives stemming ("tomatoes" and
+// "tomato" match each other) and a relevance score. Before querying, every search word that is not a
+// known catalog word is replaced by the closest known word within a small edit distance, so typos like
+// "tomatos" or "bananna" still find products. Known words come from product names and categories and
+// are cached for SEARCH_VOCABULARY_TTL_SECONDS (default 300).
+//
+// Facet bands are configured with SEARCH_PRICE_BANDS, a comma-separated list of band edges in major
+// units (default "5,10,20,50" -> under 5, 5-10, 10-20, 20-50, 50 and over).
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// Damerau-Levenshtein (optimal string alignment) distance; a swapped letter pair counts as one edit
+const editDistance = (a, b) => {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 1; j < cols; j++) d[0][j] = j;
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[rows - 1][cols - 1];
+};
+
+// Edits allowed for a word of this length: none for short words, where one edit is a different word
+const allowedEdits = (word) => (word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2);
+
+// Crude singular form, only used to compare words ("tomatoes"/"tomatos" -> "tomato", "berries" -> "berry")
+const singular = (word) => {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 4 && word.endsWith('oes')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+};
+
+let vocabularyCache = { words: null, expiresAt: 0 };
+
+// Every word that appears in a product name or category name
+const getVocabulary = async () => {
+    if (vocabularyCache.words && vocabularyCache.expiresAt > Date.now()) {
+        return vocabularyCache.words;
+    }
+    const [names, categories, categoryNames] = await Promise.all([
+        Product.distinct('name'),
+        Product.distinct('category'),
+        Category.distinct('name')
+    ]);
+    const words = new Set([...names, ...categories, ...categoryNames].flatMap(tokenize));
+    const ttlSeconds = parseInt(process.env.SEARCH_VOCABULARY_TTL_SECONDS, 10) || 300;
+    vocabularyCache = { words, expiresAt: Date.now() + ttlSeconds * 1000 };
+    return words;
+};
+
+// Replace unknown words with the closest catalog word. Resolves with { terms, corrected }, where
+// `corrected` is the rewritten query when anything changed (for a "showing results for" hint), else null.
+const correctQuery = async (query) => {
+    const terms = tokenize(query);
+    const vocabulary = await getVocabulary();
+    let changed = false;
+
+    const correctedTerms = terms.map(term => {
+        if (vocabulary.has(term) || /^\d+$/.test(term)) return term;
+        const base = singular(term);
+        let best = null;
+        let bestDistance = Infinity;
+        for (const word of vocabulary) {
+            if (Math.abs(word.length - term.length) > 2) continue;
+            const distance = Math.min(editDistance(term, word), editDistance(base, singular(word)));
+            if (distance < bestDistance) {
+                best = word;
+                bestDistance = distance;
+            }
+        }
+        if (best && bestDistance > 0 && bestDistance <= allowedEdits(term)) {
+            changed = true;
+            return best;
+        }
+        return best && bestDistance === 0 ? best : term;
+    });
+
+    return { terms: correctedTerms, corrected: changed ? correctedTerms.join(' ') : null };
+};
+
+// Lower edges of the price bands, starting at 0
+const getPriceBands = () => {
+    const edges = String(process.env.SEARCH_PRICE_BANDS || '')
+        .split(',')
+        .map(Number)
+        .filter(edge => Number.isFinite(edge) && edge > 0)
+        .sort((a, b) => a - b);
+    return [0, ...new Set(edges.length > 0 ? edges : [5, 10, 20, 50])];
+};
+
+// Filter clauses for each facetable filter, kept separate so each facet can ignore its own filter
+const buildFilterClauses = ({ categoryIds, minPrice, maxPrice, inStock, minRating }) => {
+    const clauses = {};
+    if (categoryIds) {
+        clauses.category = { categoryId: { $in: categoryIds } };
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        // Products with variants match when any part of their price range is inside the requested range
+        const price = [];
+        if (maxPrice !== undefined) price.push({ price: { $lte: maxPrice } });
+        if (minPrice !== undefined) price.push({ $expr: { $gte: [{ $ifNull: ['$maxPrice', '$price'] }, minPrice] } });
+        clauses.price = { $and: price };
+    }
+    if (inStock) {
+        clauses.inStock = { $expr: { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }, 0] } };
+    }
+    if (minRating !== undefined) {
+        clauses.rating = { ratingAverage: { $gte: minRating } };
+    }
+    return clauses;
+};
+
+const matchAllExcept = (clauses, skip) => {
+    const parts = Object.entries(clauses).filter(([name]) => name !== skip).map(([, clause]) => clause);
+    return { $match: parts.length > 0 ? { $and: parts } : {} };
+};
+
+const SORTS = {
+    relevance: { score: -1, ratingCount: -1, _id: 1 },
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: 1 },
+    rating: { ratingAverage: -1, ratingCount: -1, _id: 1 },
+    name: { name: 1, _id: 1 },
+    newest: { createdAt: -1, _id: 1 }
+};
+
+// Run a search. `filters` are already validated: { categoryIds, minPrice, maxPrice, inStock, minRating }.
+// Resolves with { products, total, facets, terms, corrected }.
+// Facet counts are "drill-down" counts: each facet applies every filter except its own, so choosing
+// a category still shows how many results the other categories would have.
+const searchProducts = async ({ q, filters = {}, sort, page = 1, limit = 12 }) => {
+    const { terms, corrected } = q ? await correctQuery(q) : { terms: [], corrected: null };
+    const textMatch = terms.length > 0 ? { $text: { $search: terms.join(' ') } } : {};
+    const clauses = buildFilterClauses(filters);
+    const sortBy = SORTS[sort] || (terms.length > 0 ? SORTS.relevance : SORTS.name);
+    const bands = getPriceBands();
+
+    const [result] = await Product.aggregate([
+        { $match: textMatch }, // $text must be the first stage
+        { $addFields: { score: terms.length > 0 ? { $meta: 'textScore' } : 0 } },
+        {
+            $facet: {
+                products: [
+                    matchAllExcept(clauses),
+                    { $sort: sortBy },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit }
+                ],
+                total: [matchAllExcept(clauses), { $count: 'count' }],
+                categories: [
+                    matchAllExcept(clauses, 'category'),
+                    { $group: { _id: { categoryId: '$categoryId', name: '$category' }, count: { $sum: 1 } } },
+                    { $sort: { count: -1, '_id.name': 1 } }
+                ],
+                priceBands: [
+                    matchAllExcept(clauses, 'price'),
+                    { $bucket: { groupBy: '$price', boundaries: bands, default: 'over', output: { count: { $sum: 1 } } } }
+                ],
+                inStock: [
+                    matchAllExcept(clauses, 'inStock'),
+                    {
+                        $group: {
+                            _id: { $gt: [{ $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }, 0] },
+                            count: { $sum: 1 }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const bandCounts = new Map(result.priceBands.map(band => [band._id, band.count]));
+    const stockCounts = new Map(result.inStock.map(entry => [entry._id, entry.count]));
+    return {
+        // Hydrate so results serialize like other product responses (priceRange included)
+        products: result.products.map(product => ({ ...Product.hydrate(product).toJSON(), score: product.score })),
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        terms,
+        corrected,
+        facets: {
+            categories: result.categories.map(entry => ({ categoryId: entry._id.categoryId, name: entry._id.name, count: entry.count })),
+            priceBands: bands.map((min, index) => ({
+                min,
+                max: index < bands.length - 1 ? bands[index + 1] : null,
+                count: bandCounts.get(index < bands.length - 1 ? min : 'over') || 0
+            })),
+            inStock: { inStock: stockCounts.get(true) || 0, outOfStock: stockCounts.get(false) || 0 }
+        }
+    };
+};
+
+module.exports = {
+    tokenize,
+    editDistance,
+    correctQuery,
+    searchProducts,
+    SORTS,
+};
@@ -0,0 +1,151 @@
+// utils/sessions.js - Login sessions: short-lived access tokens and rotating refresh tokens
+//
+// Logging in creates a Session and returns two tokens:
+//   - an access token (JWT, ACCESS_TOKEN_TTL, default "15m") sent as "Authorization: Bearer ..."
+//   - a refresh token ("<sessionId>.<secret>") exchanged at POST /api/auth/refresh for a new pair.
+// Every refresh replaces the refresh token. Presenting an already-exchanged refresh token is treated as
+// theft and revokes the session. Sessions expire after REFRESH_TOKEN_TTL_DAYS (default 30) without a refresh.
+//
+// Accounts with two-factor authentication first get a pre-auth token (PRE_AUTH_TOKEN_TTL, default "5m")
+// that is only accepted by the second login step, not by `protect`.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { sessionSatisfiesTwoFactor } = require('./twoFactor');
+
+// Old refresh token hashes remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const preAuthTokenTtl = () => process.env.PRE_AUTH_TOKEN_TTL || '5m';
+const refreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshSecret = () => crypto.randomBytes(48).toString('base64url');
+
+// Sign an access token bound to a session. Includes email and role for clients; `protect` reloads both.
+const generateAccessToken = (user, sessionId) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('secretOrPrivateKey must have a value. JWT_SECRET environment variable is not set.');
+    }
+    return jwt.sign({ id: user._id, email: user.email, role: user.role, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: accessTokenTtl()
+    });
+};
+
+// The token pair returned to clients
+const tokenResponse = (user, session, refreshSecret) => ({
+    token: generateAccessToken(user, session._id),
+    refreshToken: `${session._id}.${refreshSecret}`,
+    accessTokenExpiresIn: accessTokenTtl(),
+    refreshTokenExpiresAt: session.expiresAt
+});
+
+// Start a session for `user` (after a successful login). `req` supplies the device details.
+// `twoFactorVerifiedAt` is set when the login included a second factor.
+const createSession = async (user, req, { twoFactorVerifiedAt = null } = {}) => {
+    const secret = newRefreshSecret();
+    const session = await Session.create({
+        userId: user._id,
+        tokenHash: hashToken(secret),
+        expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+        ip: req.ip || '',
+        twoFactorVerifiedAt
+    });
+    return { session, ...tokenResponse(user, session, secret) };
+};
+
+// Revoke one session
+const revokeSession = (sessionId, reason) => Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Revoke every active session of a user, optionally keeping one (e.g. the caller's own)
+const revokeAllSessions = (userId, reason, { exceptSessionId } = {}) => Session.updateMany(
+    { userId, revokedAt: null, ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {}) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Exchange a refresh token for a new token pair. `loadUser(userId)` returns the current user (or null).
+// Resolves with { user, session, token, refreshToken, ... } or { error } when the token cannot be used.
+const rotateRefreshToken = async (refreshToken, loadUser) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+        return { error: 'Invalid refresh token.' };
+    }
+
+    const session = await Session.findById(sessionId);
+    const hash = hashToken(secret);
+    if (!session || (session.tokenHash !== hash && !session.previousTokenHashes.includes(hash))) {
+        return { error: 'Invalid refresh token.' };
+    }
+    if (session.previousTokenHashes.includes(hash)) {
+        // An exchanged token came back: whoever holds the current one may be an attacker, so end the session
+        await revokeSession(session._id, 'refresh_token_reuse');
+        console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.userId}). Session revoked.`);
+        return { error: 'Refresh token has already been used. Please log in again.' };
+    }
+    if (!session.isActive()) {
+        return { error: 'Session has ended. Please log in again.' };
+    }
+
+    const user = await loadUser(session.userId);
+    if (!user) {
+        await revokeSession(session._id, 'user_not_found');
+        return { error: 'Session has ended. Please log in again.' };
+    }
+    if (!sessionSatisfiesTwoFactor(user, session)) {
+        // e.g. an admin session from before two-factor was mandatory; it must not roll on forever
+        await revokeSession(session._id, 'two_factor_required');
+        return { error: 'Two-factor authentication is required. Please log in again.' };
+    }
+
+    // Conditional on the current hash so two concurrent refreshes cannot both succeed
+    const newSecret = newRefreshSecret();
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: hash, revokedAt: null },
+        {
+            $set: { tokenHash: hashToken(newSecret), lastUsedAt: new Date(), expiresAt: new Date(Date.now() + refreshTokenTtlMs()) },
+            $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } }
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        return { error: 'Refresh token has already been used. Please log in again.' };
+    }
+    return { user, session: rotated, ...tokenResponse(user, rotated, newSecret) };
+};
+
+// Sign a pre-auth token: proof that the password was correct, pending the second factor.
+// `stage` is 'verify' (enter a code) or 'enroll' (an admin must set up two-factor first).
+const generatePreAuthToken = (user, stage) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('secretOrPrivateKey must have a value. JWT_SECRET environment variable is not set.');
+    }
+    return jwt.sign({ id: user._id, purpose: 'pre_auth', stage }, process.env.JWT_SECRET, {
+        expiresIn: preAuthTokenTtl()
+    });
+};
+
+// Decode a pre-auth token. Returns { id, stage } or null if it is invalid, expired or another kind of token.
+const verifyPreAuthToken = (token) => {
+    try {
+        const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+        return decoded.purpose === 'pre_auth' ? { id: decoded.id, stage: decoded.stage } : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    generateAccessToken,
+    generatePreAuthToken,
+    verifyPreAuthToken,
+};
@@ -0,0 +1,123 @@
+// utils/suggestions.js - Search-as-you-type suggestions and the search query log
+//
+// Product names and categories are matched in memory from a snapshot of the catalog that is refreshed
+// every SUGGEST_CACHE_TTL_SECONDS (default 60), so a keystroke never scans the products collection.
+// Popular past queries come from the SearchQuery log with an anchored prefix match on its unique index.
+// A logged query is only suggested once SUGGEST_MIN_SEARCHERS (default 3) different IP addresses have
+// searched it and found results, so repeated searches from one client cannot push text into suggestions.
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SearchQuery = require('../models/SearchQuery');
+const { escapeRegex } = require('./textUtils');
+
+const normalizeQuery = (query) => String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const minSearchers = () => parseInt(process.env.SUGGEST_MIN_SEARCHERS, 10) || 3;
+
+let catalogCache = { entries: null, expiresAt: 0, loading: null };
+
+const loadCatalog = async () => {
+    const [products, categories] = await Promise.all([
+        Product.find().select('name image price maxPrice hasVariants').lean(),
+        Category.find({ isActive: true }).select('name slug').lean()
+    ]);
+    return {
+        products: products.map(product => ({ ...product, key: product.name.toLowerCase() })),
+        categories: categories.map(category => ({ ...category, key: category.name.toLowerCase() }))
+    };
+};
+
+// Cached catalog snapshot; concurrent callers share one reload
+const getCatalog = async () => {
+    if (catalogCache.entries && catalogCache.expiresAt > Date.now()) {
+        return catalogCache.entries;
+    }
+    if (!catalogCache.loading) {
+        catalogCache.loading = loadCatalog()
+            .then(entries => {
+                const ttlSeconds = parseInt(process.env.SUGGEST_CACHE_TTL_SECONDS, 10) || 60;
+                catalogCache = { entries, expiresAt: Date.now() + ttlSeconds * 1000, loading: null };
+                return entries;
+            })
+            .catch(error => {
+                catalogCache.loading = null;
+                throw error;
+            });
+    }
+    return catalogCache.loading;
+};
+
+// 0 when the whole text starts with the prefix, 1 when a later word does, -1 when it does not match
+const prefixRank = (text, prefix) => {
+    if (text.startsWith(prefix)) return 0;
+    return text.includes(` ${prefix}`) ? 1 : -1;
+};
+
+const topMatches = (entries, prefix, limit) => entries
+    .map(entry => ({ entry, rank: prefixRank(entry.key, prefix) }))
+    .filter(match => match.rank >= 0)
+    .sort((a, b) => a.rank - b.rank || a.entry.key.length - b.entry.key.length || a.entry.key.localeCompare(b.entry.key))
+    .slice(0, limit)
+    .map(match => match.entry);
+
+// Suggestions for a partial query: { products, categories, queries }, up to `limit` of each.
+// An empty query returns only the most popular searches.
+const getSuggestions = async (query, limit = 5) => {
+    const prefix = normalizeQuery(query);
+    const popular = SearchQuery.find({
+        lastResultCount: { $gt: 0 },
+        distinctSearchers: { $gte: minSearchers() },
+        ...(prefix ? { query: { $regex: `^${escapeRegex(prefix)}` } } : {})
+    })
+        .sort({ count: -1 })
+        .limit(limit)
+        .select('query count -_id')
+        .lean();
+
+    if (!prefix) {
+        return { products: [], categories: [], queries: await popular };
+    }
+
+    const [catalog, queries] = await Promise.all([getCatalog(), popular]);
+    return {
+        products: topMatches(catalog.products, prefix, limit).map(({ _id, name, image, price, maxPrice, hasVariants }) => ({
+            _id,
+            name,
+            image,
+            priceRange: { min: price, max: hasVariants && maxPrice !== undefined ? maxPrice : price }
+        })),
+        categories: topMatches(catalog.categories, prefix, limit).map(({ _id, name, slug }) => ({ _id, name, slug })),
+        queries
+    };
+};
+
+// Count a search in the query log; `searcher` identifies who searched (their IP address).
+// Never throws: logging must not break the search itself.
+const logSearchQuery = async (query, resultCount, searcher) => {
+    const normalized = normalizeQuery(query);
+    if (!normalized || normalized.length > 100) return;
+    try {
+        await SearchQuery.updateOne(
+            { query: normalized },
+            { $inc: { count: 1 }, $set: { lastResultCount: resultCount, lastSearchedAt: new Date() } },
+            { upsert: true }
+        );
+        if (searcher) {
+            // Count a new searcher until the threshold is reached; the list stops growing after that
+            const searcherHash = crypto.createHash('sha256').update(String(searcher)).digest('hex').slice(0, 16);
+            await SearchQuery.updateOne(
+                { query: normalized, distinctSearchers: { $lt: minSearchers() }, searchers: { $ne: searcherHash } },
+                { $push: { searchers: searcherHash }, $inc: { distinctSearchers: 1 } }
+            );
+        }
+    } catch (error) {
+        console.error('Search query log error:', error.message);
+    }
+};
+
+module.exports = {
+    normalizeQuery,
+    getSuggestions,
+    logSearchQuery,
+};
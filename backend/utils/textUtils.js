@@ -0,0 +1,17 @@
+// utils/textUtils.js - Small string helpers shared by the catalog routes
+
+// Escape user input so it can be embedded in a RegExp / $regex and only match literally
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Fresh Fruit & Veg" -> "fresh-fruit-veg"
+const slugify = (text) => String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+module.exports = {
+    escapeRegex,
+    slugify,
+};
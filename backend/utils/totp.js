@@ -0,0 +1,95 @@
+// utils/totp.js - Time-based one-time passwords (RFC 6238), as used by authenticator apps
+//
+// Secrets are 20 random bytes, shared with the app as base32. Codes are 6 digits over 30-second
+// steps using HMAC-SHA1, which is what Google Authenticator, Authy, 1Password etc. expect.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+// Decode base32, ignoring case, spaces and padding as apps display them
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 secret.');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// A new random secret, base32-encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The time step containing `now`
+const stepAt = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// The code for one time step (HOTP with the step as counter, RFC 4226)
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check `code` against the current step and `window` steps either side (allows for clock drift).
+// Returns the matching step, or null. Callers should refuse steps at or before the last one used,
+// so a code cannot be replayed.
+const verifyCode = (secret, code, { window = 1, now = Date.now() } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+        return null;
+    }
+    const current = stepAt(now);
+    for (let step = current - window; step <= current + window; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(codeForStep(secret, step)), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI that authenticator apps import, usually by scanning it as a QR code
+const provisioningUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    generateSecret,
+    codeForStep,
+    stepAt,
+    verifyCode,
+    provisioningUri,
+    base32Encode,
+    base32Decode,
+};
@@ -0,0 +1,141 @@
+// utils/twoFactor.js - TOTP two-factor authentication for user accounts
+//
+// Configuration:
+//   TWO_FACTOR_ISSUER          Name shown in authenticator apps (default "ShopSmart")
+//   TWO_FACTOR_REQUIRED_ROLES  Comma-separated roles that must use two-factor (default "admin,store_manager")
+//   STEP_UP_MAX_AGE_MINUTES    How recent a second-factor check must be for sensitive actions (default 10)
+//
+// Enrollment: startEnrollment stores a pending secret, confirmEnrollment activates it with the first code
+// and returns RECOVERY_CODE_COUNT one-time recovery codes (only their hashes are kept).
+const crypto = require('crypto');
+const User = require('../models/User');
+const { generateSecret, verifyCode, provisioningUri } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // No 0/o, 1/l/i lookalikes
+
+// Fields to add to a User query when the two-factor secrets are needed
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || 'ShopSmart';
+const stepUpMaxAgeMs = () => (parseInt(process.env.STEP_UP_MAX_AGE_MINUTES, 10) || 10) * 60 * 1000;
+const requiredRoles = () => (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,store_manager').split(',').map(role => role.trim()).filter(Boolean);
+
+// Whether the user's role makes two-factor mandatory
+const isTwoFactorRequired = (user) => requiredRoles().includes(user.role);
+
+// Whether a session may be used by `user`: where two-factor is mandatory, the account must have it on
+// and the session must have been started (or confirmed) with a second factor
+const sessionSatisfiesTwoFactor = (user, session) => !isTwoFactorRequired(user) || Boolean(
+    user.twoFactor && user.twoFactor.enabled && session.twoFactorVerifiedAt
+);
+
+// Load a user together with their two-factor secrets
+const loadUserWithSecrets = (userId) => User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// New plain recovery codes, formatted "xxxxx-xxxxx"
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+});
+
+// Begin (or restart) enrollment for a user loaded with loadUserWithSecrets.
+// Returns the secret and the otpauth:// URI to show as a QR code.
+const startEnrollment = async (user) => {
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    return { secret, otpauthUrl: provisioningUri(secret, user.email, issuer()) };
+};
+
+// Activate the pending secret if `code` matches it. Returns the plain recovery codes, or null for a wrong code.
+const confirmEnrollment = async (user, code) => {
+    const pendingSecret = user.twoFactor.pendingSecret;
+    const step = pendingSecret ? verifyCode(pendingSecret, code) : null;
+    if (step === null) {
+        return null;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+    return recoveryCodes;
+};
+
+// Check a TOTP `code` or a `recoveryCode` for a user loaded with loadUserWithSecrets.
+// Each code works once: TOTP steps must move forward and recovery codes are removed when used.
+// Returns { method, recoveryCodesRemaining? } or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+        return null;
+    }
+
+    if (code) {
+        const step = verifyCode(user.twoFactor.secret, code);
+        if (step === null) {
+            return null;
+        }
+        // Conditional update so the same code cannot be accepted twice, even concurrently
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [{ 'twoFactor.lastUsedStep': { $exists: false } }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1 ? { method: 'totp' } : null;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } }
+        );
+        if (result.modifiedCount !== 1) {
+            return null;
+        }
+        return { method: 'recovery_code', recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1 };
+    }
+    return null;
+};
+
+// Replace the user's recovery codes. Returns the new plain codes.
+const regenerateRecoveryCodes = async (user) => {
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+    return recoveryCodes;
+};
+
+// Turn two-factor off and forget the secrets
+const disableTwoFactor = async (user) => {
+    user.twoFactor = { enabled: false };
+    await user.save();
+};
+
+// Whether a second factor was checked in this session recently enough for a sensitive action
+const hasRecentSecondFactor = (session, now = Date.now()) => Boolean(
+    session && session.twoFactorVerifiedAt && now - session.twoFactorVerifiedAt.getTime() <= stepUpMaxAgeMs()
+);
+
+module.exports = {
+    requiredRoles,
+    isTwoFactorRequired,
+    sessionSatisfiesTwoFactor,
+    loadUserWithSecrets,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    hasRecentSecondFactor,
+};
@@ -0,0 +1,77 @@
+// utils/variants.js - Product variants (pack sizes) and how cart and order lines refer to them
+//
+// A product either has no variants (price and stock live on Product, as before) or has one or more
+// ProductVariant documents. In the second case every cart line and order line names a variantId, and
+// Product.price / maxPrice / stock are summaries kept up to date from the variants.
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const { recordStockMovements } = require('./inventory');
+
+// Identifies a cart or order line: the same product in two pack sizes is two lines
+const lineKey = (line) => `${line.productId}:${line.variantId || ''}`;
+
+// Name shown on cart and order lines
+const displayName = (product, variant) => (variant ? `${product.name} (${variant.name})` : product.name);
+
+// Find the variant a line refers to and check it belongs to the product.
+// Returns { variant } (null for products without variants) or { error } with a customer-facing message.
+const resolveVariant = async (product, variantId, session) => {
+    if (!variantId) {
+        return product.hasVariants
+            ? { error: `Please choose an option for ${product.name}.` }
+            : { variant: null };
+    }
+    if (!mongoose.Types.ObjectId.isValid(variantId)) {
+        return { error: 'Invalid variant ID.' };
+    }
+    const variant = await ProductVariant.findOne({ _id: variantId, productId: product._id }).session(session || null);
+    if (!variant) {
+        return { error: `The selected option for ${product.name} is no longer available.` };
+    }
+    return { variant };
+};
+
+// Recompute the parent product's summary after variants were added, edited or removed:
+// hasVariants, price (lowest variant price), maxPrice and stock (total across variants).
+// When the first variant is added, the product's own stock is written off in the ledger (the
+// variants' stock replaces it); when the last one is removed, the product starts again from 0.
+// `ledger` carries the movement fields (referenceType, referenceId, performedBy, note).
+const syncVariantSummary = async (productId, session, ledger) => {
+    const [product, variants] = await Promise.all([
+        Product.findById(productId).select('name stock hasVariants reorderThreshold').session(session || null),
+        ProductVariant.find({ productId }).session(session || null)
+    ]);
+    if (!product) return null;
+
+    if (variants.length === 0) {
+        if (!product.hasVariants) return null;
+        return Product.updateOne({ _id: productId }, { $set: { hasVariants: false, stock: 0 }, $unset: { maxPrice: 1 } }, { session });
+    }
+    if (!product.hasVariants && product.stock !== 0) {
+        const delta = -product.stock;
+        await recordStockMovements([{
+            ...ledger,
+            product: product.set('stock', 0),
+            delta,
+            reason: 'adjustment',
+            note: 'Stock now tracked per variant'
+        }], { session, lowStockAlerts: false });
+    }
+    const prices = variants.map(variant => variant.price);
+    return Product.updateOne({ _id: productId }, {
+        $set: {
+            hasVariants: true,
+            price: Math.min(...prices),
+            maxPrice: Math.max(...prices),
+            stock: variants.reduce((sum, variant) => sum + variant.stock, 0)
+        }
+    }, { session });
+};
+
+module.exports = {
+    lineKey,
+    displayName,
+    resolveVariant,
+    syncVariantSummary,
+};